@@ -0,0 +1,144 @@
+const accountService = require("../services/accountService");
+const cardStatementService = require("../services/cardStatementService");
+const transferService = require("../services/transferService");
+
+const handleError = (reply, error, context) => {
+  if (
+    error instanceof accountService.AccountError ||
+    error instanceof cardStatementService.CardStatementError ||
+    error instanceof transferService.TransferError
+  ) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return reply.status(400).send({ message: error.message });
+  }
+
+  console.error(`❌ accountsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class accountsController {
+  async getAccounts(request, reply) {
+    //Listar contas com o saldo atual
+    try {
+      const accounts = await accountService.list(request.user_id, request.query);
+      return reply.status(200).send(accounts);
+    } catch (error) {
+      return handleError(reply, error, "getAccounts");
+    }
+  }
+
+  async findOne(request, reply) {
+    try {
+      const account = await accountService.get(request.user_id, request.params.id);
+      return reply.status(200).send(account);
+    } catch (error) {
+      return handleError(reply, error, "findOne");
+    }
+  }
+
+  async createAccount(request, reply) {
+    try {
+      const account = await accountService.create(request.user_id, request.body);
+      return reply.status(201).send(account);
+    } catch (error) {
+      return handleError(reply, error, "createAccount");
+    }
+  }
+
+  async updateAccount(request, reply) {
+    try {
+      const account = await accountService.update(request.user_id, request.params.id, request.body);
+
+      // Fechamento/vencimento do cartão mudaram: redistribui as compras das faturas em aberto
+      if (["type", "closing_day", "due_day"].some((field) => request.body[field] !== undefined)) {
+        await cardStatementService.reassignAccount(request.user_id, account._id);
+      }
+
+      return reply.status(200).send({ message: "Account updated successfully", account });
+    } catch (error) {
+      return handleError(reply, error, "updateAccount");
+    }
+  }
+
+  async deleteAccount(request, reply) {
+    try {
+      await accountService.remove(request.user_id, request.params.id);
+      return reply.status(200).send({ message: "Account successfully deleted" });
+    } catch (error) {
+      return handleError(reply, error, "deleteAccount");
+    }
+  }
+
+  async getBalance(request, reply) {
+    //Saldo da conta em uma data (padrão: hoje)
+    try {
+      const result = await accountService.balance(request.user_id, request.params.id, request.query.date);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "getBalance");
+    }
+  }
+
+  async getStatement(request, reply) {
+    //Extrato do período com saldo corrente
+    try {
+      const result = await accountService.statement(request.user_id, request.params.id, request.query);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "getStatement");
+    }
+  }
+
+  async getStatements(request, reply) {
+    //Faturas do cartão com totais e situação
+    try {
+      const statements = await cardStatementService.list(request.user_id, request.params.id);
+      return reply.status(200).send(statements);
+    } catch (error) {
+      return handleError(reply, error, "getStatements");
+    }
+  }
+
+  async getOpenStatement(request, reply) {
+    //Fatura aberta e previsão das próximas
+    try {
+      const result = await cardStatementService.forecast(request.user_id, request.params.id);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "getOpenStatement");
+    }
+  }
+
+  async findStatement(request, reply) {
+    try {
+      const statement = await cardStatementService.get(request.user_id, request.params.id, request.params.month);
+      return reply.status(200).send(statement);
+    } catch (error) {
+      return handleError(reply, error, "findStatement");
+    }
+  }
+
+  async payStatement(request, reply) {
+    //Pagar a fatura a partir de outra conta
+    try {
+      const result = await cardStatementService.pay(request.user_id, request.params.id, request.params.month, request.body);
+      return reply.status(200).send({ message: "Statement paid", ...result });
+    } catch (error) {
+      return handleError(reply, error, "payStatement");
+    }
+  }
+
+  async unpayStatement(request, reply) {
+    //Desfazer o pagamento da fatura
+    try {
+      const result = await cardStatementService.unpay(request.user_id, request.params.id, request.params.month);
+      return reply.status(200).send({ message: "Statement payment undone", ...result });
+    } catch (error) {
+      return handleError(reply, error, "unpayStatement");
+    }
+  }
+}
+
+module.exports = new accountsController();
@@ -0,0 +1,72 @@
+const attachmentService = require("../services/attachmentService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof attachmentService.AttachmentError) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+  if (error.code === "FST_REQ_FILE_TOO_LARGE") {
+    return reply.status(413).send({ message: "Arquivo muito grande" });
+  }
+
+  console.error(`❌ attachmentsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class attachmentsController {
+  async upload(request, reply) {
+    //Anexar comprovante/nota/boleto à conta
+    try {
+      const file = await request.file();
+      const attachment = await attachmentService.upload(request.user_id, request.params.id, file);
+
+      return reply.status(201).send(attachment);
+    } catch (error) {
+      return handleError(reply, error, "upload");
+    }
+  }
+
+  async list(request, reply) {
+    //Listar anexos da conta
+    try {
+      const [attachments, usage] = await Promise.all([
+        attachmentService.list(request.user_id, request.params.id),
+        attachmentService.usage(request.user_id),
+      ]);
+
+      return reply.status(200).send({ attachments, usage });
+    } catch (error) {
+      return handleError(reply, error, "list");
+    }
+  }
+
+  async download(request, reply) {
+    //Baixar anexo com o content type original
+    const { id, attachmentId } = request.params;
+
+    try {
+      const { attachment, stream } = await attachmentService.open(request.user_id, id, attachmentId);
+
+      return reply
+        .type(attachment.content_type)
+        .header("Content-Length", attachment.size)
+        .header("Content-Disposition", `inline; filename="${encodeURIComponent(attachment.filename)}"`)
+        .send(stream);
+    } catch (error) {
+      return handleError(reply, error, "download");
+    }
+  }
+
+  async remove(request, reply) {
+    //Excluir anexo
+    const { id, attachmentId } = request.params;
+
+    try {
+      await attachmentService.remove(request.user_id, id, attachmentId);
+      return reply.status(200).send({ message: "Attachment successfully deleted" });
+    } catch (error) {
+      return handleError(reply, error, "remove");
+    }
+  }
+}
+
+module.exports = new attachmentsController();
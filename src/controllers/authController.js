@@ -2,10 +2,12 @@ const usersModel = require("../models/usersModel");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
 const sendMail = require("../utils/mail.js");
+const categoryService = require("../services/categoryService");
+const { DEFAULT_PACK, resolveLocale } = require("../utils/categoryTemplates");
 
 class authController {
   async registerUser(request, reply) {
-    const { name, email, password, confirmPassword } = request.body;
+    const { name, email, password, confirmPassword, locale } = request.body;
 
     if (!name) {
       return reply.status(422).send({
@@ -59,10 +61,17 @@ class authController {
       name,
       email,
       password: hashedPassword,
+      locale: resolveLocale(locale || request.headers["accept-language"]),
     });
 
     try {
       await user.save();
+
+      // Categorias iniciais no idioma do usuário; se falharem, o cadastro continua valendo
+      await categoryService
+        .applyTemplate(user._id, DEFAULT_PACK, user.locale)
+        .catch((error) => console.error("❌ authController.registerUser: erro ao criar as categorias padrão:", error));
+
       return reply.status(201).send({ success: true, message: "Usuário criado com sucesso." });
     } catch (error) {
       console.log(error);
@@ -1,28 +1,76 @@
-const moment = require("moment");
-
 const billsModel = require("../models/billsModel");
 const jwt = require("jsonwebtoken");
 const User = require("../models/usersModel");
+const { parsePagination, decodeCursor, buildCursorFilter, buildPage } = require("../utils/pagination");
+const { buildBillFilter, parseSort } = require("../utils/billFilters");
+const recurrenceService = require("../services/recurrenceService");
+const paymentService = require("../services/paymentService");
+const bulkService = require("../services/bulkService");
+const trashService = require("../services/trashService");
+const historyService = require("../services/historyService");
+const tagService = require("../services/tagService");
+const currencyService = require("../services/currencyService");
+const searchService = require("../services/searchService");
+const filterService = require("../services/filterService");
+const { FilterDslError } = require("../utils/filterDsl");
+const accountService = require("../services/accountService");
+const transferService = require("../services/transferService");
+const cardStatementService = require("../services/cardStatementService");
+const categoryService = require("../services/categoryService");
+const { toCents } = require("../utils/money");
+
+// O PUT sempre manda bill_value e buy_date: só contam como alteração se diferirem do que está gravado
+const conversionChanges = (bill, changes) => {
+  const differs = (field, same) => changes[field] !== undefined && !same(changes[field], bill[field]);
+  const sameMoney = (a, b) => toCents(a) === toCents(b);
+
+  return {
+    currency: differs("currency", (a, b) => String(a).toUpperCase() === b),
+    original_value: differs("original_value", sameMoney),
+    bill_value: differs("bill_value", sameMoney),
+    buy_date: differs("buy_date", (a, b) => b instanceof Date && new Date(a).getTime() === b.getTime()),
+  };
+};
 
 class productController {
   async index(request, reply) {
-    //Listar todas contas
+    //Listar contas paginadas, ordenadas e filtradas
     try {
-      console.log('📋 billsController.index: Buscando bills para user_id:', request.user_id);
+      const { page, limit, skip } = parsePagination(request.query);
+      const { sortField, direction, sort } = parseSort(request.query);
+      const filter = buildBillFilter(request.user_id, request.query);
+
+      const cursor = request.query.cursor ? decodeCursor(request.query.cursor) : null;
+      if (request.query.cursor && !cursor) {
+        return reply.status(400).send({ message: "Invalid cursor" });
+      }
 
-      const bills = await billsModel.find({ user_id: request.user_id });
+      const pageFilter = cursor ? { $and: [filter, buildCursorFilter(cursor, sortField, direction, (value) => billsModel.toStoredValue(sortField, value))] } : filter;
 
-      console.log('📊 billsController.index: Encontradas', bills.length, 'bills');
-      console.log('📅 billsController.index: Sample bills:', bills.slice(0, 2).map(b => ({
-        id: b._id,
-        description: b.description,
-        value: b.value,
-        buy_date: b.buy_date
-      })));
+      const [bills, total] = await Promise.all([
+        billsModel
+          .find(pageFilter)
+          .sort(sort)
+          .skip(cursor ? 0 : skip)
+          .limit(limit)
+          .populate(billsModel.CATEGORY_POPULATE),
+        billsModel.countDocuments(filter),
+      ]);
 
-      return reply.status(200).send(bills);
+      return reply.status(200).send(buildPage({ data: bills, total, page, limit, sortField, useCursor: !!cursor }));
     } catch (error) {
-      console.error('❌ billsController.index: Erro ao buscar bills:', error);
+      console.error("❌ billsController.index: Erro ao buscar bills:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
+
+  async search(request, reply) {
+    //Buscar contas por nome, observações e categoria, ordenadas por relevância
+    try {
+      const result = await searchService.search(request.user_id, request.query);
+      return reply.status(200).send(result);
+    } catch (error) {
+      console.error("❌ billsController.search: Erro ao buscar bills:", error);
       return reply.status(500).send({ message: "Erro interno do servidor" });
     }
   }
@@ -33,7 +81,7 @@ class productController {
     try {
       const { id } = request.params;
 
-      const bill = await billsModel.findById({ _id: id, user_id: request.user_id });
+      const bill = await billsModel.findById({ _id: id, user_id: request.user_id }).populate(billsModel.CATEGORY_POPULATE);
 
       if (!bill) {
         return reply.status(404).send({ message: "Not Found" });
@@ -50,13 +98,32 @@ class productController {
     try {
       const billData = request.body;
       billData.user_id = request.user_id;
+      billData.recurrence = recurrenceService.ruleForNewBill(billData);
+      await currencyService.applyConversion(request.user_id, billData);
+      billData.account_id = await accountService.resolveAccountId(request.user_id, billData);
+      await transferService.checkBill(request.user_id, billData);
+      await categoryService.applyCategoryId(request.user_id, billData);
+      await categoryService.assignCategories(request.user_id, [billData]);
 
       console.log('➕ Criando bill com dados:', billData);
       const savedBill = await billsModel.create(billData);
       console.log('➕ savedBill criada:', savedBill);
+      await historyService.recordCreated(request.user_id, "create", [savedBill]);
+      await cardStatementService.assign(request.user_id, { _id: savedBill._id });
+      await tagService.ensureTags(request.user_id, savedBill.tags);
 
       return reply.status(200).send({ message: "Bill has been created!" });
     } catch (error) {
+      if (error instanceof currencyService.CurrencyError) {
+        return reply.status(error.statusCode).send({ message: error.message, details: error.details });
+      }
+      if (
+        error instanceof accountService.AccountError ||
+        error instanceof transferService.TransferError ||
+        error instanceof categoryService.CategoryError
+      ) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       console.log('Erro ao criar bill:', error);
       reply.status(404).send({ message: error });
     }
@@ -66,8 +133,15 @@ class productController {
   async createBillData(billData) {
     console.log('➕ createBillData: Criando bill com dados:', billData);
     try {
+      if (!billData.account_id) {
+        billData.account_id = await accountService.resolveAccountId(billData.user_id, { payment_type: billData.payment_type });
+      }
+      await categoryService.assignCategories(billData.user_id, [billData]);
       const savedBill = await billsModel.create(billData);
       console.log('➕ createBillData: savedBill criada:', savedBill._id);
+      await historyService.recordCreated(billData.user_id, "import", [savedBill]);
+      await cardStatementService.assign(billData.user_id, { _id: savedBill._id });
+      await tagService.ensureTags(billData.user_id, savedBill.tags);
       return savedBill;
     } catch (error) {
       console.error('❌ createBillData: Erro ao salvar:', error);
@@ -79,122 +153,252 @@ class productController {
     //Atualizar conta
     const { id } = request.params;
     try {
-      const bill = await billsModel.findOneAndUpdate({ _id: id, user_id: request.user_id }, request.body, { new: true });
+      const bill = await billsModel.findOne({ _id: id, user_id: request.user_id });
 
       if (!bill) {
         return reply.status(404).send({ message: "This id not exists" });
       }
 
+      const { user_id, ...changes } = request.body;
+      const before = historyService.snapshot(bill);
+      const changed = conversionChanges(bill, changes);
+
+      await categoryService.applyCategoryId(request.user_id, changes);
+      bill.set(changes);
+
+      // Categoria (ou divisões) alterada: liga pelo id à categoria cadastrada
+      if (["bill_category", "category_id", "splits"].some((field) => changes[field] !== undefined)) {
+        await categoryService.assignCategories(request.user_id, [bill]);
+      }
+
+      // Valor, moeda ou data alterados: converte de novo para a moeda base.
+      // Um bill_value novo (sem original_value) passa a ser o valor na moeda original
+      if (Object.values(changed).some(Boolean)) {
+        if (changed.bill_value && changes.original_value === undefined) {
+          bill.original_value = changes.bill_value;
+        }
+        await currencyService.applyConversion(request.user_id, bill);
+      }
+
+      // Conta informada ou, ao trocar a forma de pagamento, a conta associada a ela (se houver)
+      if (changes.account_id !== undefined || changes.payment_type !== undefined) {
+        const accountId = await accountService.resolveAccountId(request.user_id, {
+          account_id: changes.account_id,
+          payment_type: bill.payment_type,
+        });
+        if (accountId || changes.account_id !== undefined) bill.account_id = accountId;
+      }
+
+      // Lado de transferência: valida e replica valor, data e descrição no outro lado
+      await transferService.checkBill(request.user_id, bill);
+      await bill.save();
+      await historyService.recordChanges(request.user_id, "update", [before], [bill]);
+      await transferService.syncCounterparts(request.user_id, [bill]);
+      await cardStatementService.assign(request.user_id, { _id: bill._id });
+      await tagService.ensureTags(request.user_id, bill.tags);
+
       return reply.status(200).send({ message: "Item updated successfully" });
     } catch (error) {
+      if (error instanceof currencyService.CurrencyError) {
+        return reply.status(error.statusCode).send({ message: error.message, details: error.details });
+      }
+      if (
+        error instanceof accountService.AccountError ||
+        error instanceof transferService.TransferError ||
+        error instanceof categoryService.CategoryError
+      ) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       return reply.status(404).send({ message: "This id not exists" });
     }
   }
 
   async deleteBills(request, reply) {
-    //Deletar conta
+    //Mover conta para a lixeira
     const { id } = request.params;
 
     try {
-      const bill = await billsModel.findOneAndDelete({
-        _id: id,
-        user_id: request.user_id,
-      });
+      await transferService.assertNotStatementPayment(request.user_id, { _id: id });
+      const trashed = await trashService.trashBills(request.user_id, { _id: id });
 
-      if (!bill) {
+      if (!trashed) {
         return reply.status(404).send({ message: "Bills not found" });
       }
       return reply.status(200).send({ message: "Bills successfully deleted" });
     } catch (error) {
+      if (error instanceof transferService.TransferError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       return reply.status(404).send({ message: "Bills not found" });
     }
   }
 
   async deleteAllBills(request, reply) {
-    //Deletar conta
+    //Deletar as contas selecionadas
     try {
-      billsModel.deleteMany({ user_id: request.user_id });
-      return reply.status(200).send({ message: "Bills successfully deleted" });
+      const results = await bulkService.apply(request.user_id, { action: "delete", ids: request.query.ids });
+      return reply.status(200).send({ message: "Bills successfully deleted", results });
     } catch (error) {
-      return reply.status(404).send({ message: "Bills not found" });
+      if (error instanceof bulkService.BulkOperationError) {
+        return reply.status(error.statusCode).send({ message: error.message, results: error.results });
+      }
+      if (error instanceof transferService.TransferError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      console.error("❌ billsController.deleteAllBills:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
     }
   }
 
-  async filterBills(request, reply) {
-    //Filtrar resultados
-
-    if (!request.body) {
-      return reply.status(404).send({ message: "Not found" });
+  async bulkBills(request, reply) {
+    //Operações em lote (delete, categoria, forma de pagamento, flags, datas)
+    try {
+      const results = await bulkService.apply(request.user_id, request.body);
+      return reply.status(200).send({ message: "Bulk operation applied", results });
+    } catch (error) {
+      if (error instanceof bulkService.BulkOperationError) {
+        return reply.status(error.statusCode).send({ message: error.message, results: error.results });
+      }
+      if (error instanceof transferService.TransferError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      console.error("❌ billsController.bulkBills:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
     }
+  }
 
+  async markPaid(request, reply) {
+    //Marcar conta como paga
     try {
-      const filter = await billsModel.find({
-        ...request.body,
-        user_id: request.user_id,
-      }); // Garantir que a consulta inclua user_id
-      return reply.status(200).send(filter);
+      const result = await paymentService.markPaid(request.user_id, [request.params.id], request.body?.paid_at);
+
+      if (!result.matched) {
+        return reply.status(404).send({ message: "Bills not found" });
+      }
+      return reply.status(200).send({ message: "Bill marked as paid" });
     } catch (error) {
-      return reply.status(404).send({ message: "Fileter failed" });
+      return reply.status(404).send({ message: "Bills not found" });
     }
   }
 
-  async createMonthlyBills(request, reply) {
-    const { user_id } = request;
+  async markUnpaid(request, reply) {
+    //Desfazer pagamento
+    try {
+      const result = await paymentService.markUnpaid(request.user_id, [request.params.id]);
 
-    const startOfLastMonth = moment().subtract(1, "month").startOf("month").toDate();
-    const endOfLastMonth = moment().subtract(1, "month").endOf("month").toDate();
+      if (!result.matched) {
+        return reply.status(404).send({ message: "Bills not found" });
+      }
+      return reply.status(200).send({ message: "Bill marked as unpaid" });
+    } catch (error) {
+      if (error instanceof transferService.TransferError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      return reply.status(404).send({ message: "Bills not found" });
+    }
+  }
 
+  async bulkMarkPaid(request, reply) {
+    //Marcar várias contas como pagas
     try {
-      const billsUpdate = [];
+      const result = await paymentService.markPaid(request.user_id, request.body.ids, request.body.paid_at);
+      return reply.status(200).send({ message: "Bills marked as paid", ...result });
+    } catch (error) {
+      return reply.status(400).send({ message: "Invalid ids" });
+    }
+  }
 
-      // get all bills are fixed or be repeated for this month
-      const getAllBillsForLastMonth = await billsModel.find({
-        user_id: user_id,
-        buy_date: {
-          $gte: startOfLastMonth,
-          $lte: endOfLastMonth,
-        },
-        $or: [{ fixed: true }, { repeat: true }],
-      });
+  async bulkMarkUnpaid(request, reply) {
+    //Desfazer pagamento de várias contas
+    try {
+      const result = await paymentService.markUnpaid(request.user_id, request.body.ids);
+      return reply.status(200).send({ message: "Bills marked as unpaid", ...result });
+    } catch (error) {
+      if (error instanceof transferService.TransferError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      return reply.status(400).send({ message: "Invalid ids" });
+    }
+  }
+
+  async dueBills(request, reply) {
+    //Contas vencidas e a vencer nos próximos N dias
+    try {
+      const summary = await paymentService.dueSummary(request.user_id, request.query.days);
+      return reply.status(200).send(summary);
+    } catch (error) {
+      console.error("❌ billsController.dueBills:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
 
-      if (getAllBillsForLastMonth.length === 0) {
-        console.error("Nenhuma conta fixa encontrada para o mês passado.");
+  async filterBills(request, reply) {
+    //Filtrar contas com a linguagem de filtros (ver utils/filterDsl) e devolver os totais
+    try {
+      const result = await filterService.run(request.user_id, request.body || {});
+      return reply.status(200).send(result);
+    } catch (error) {
+      if (error instanceof FilterDslError) {
+        return reply.status(error.statusCode).send({ message: error.message, path: error.path });
       }
+      console.error("❌ billsController.filterBills:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
 
-      // for each bill, create a new bill for this month
-      let parcel = 0;
-      let totalParcel = 0;
+  async createMonthlyBills(request, reply) {
+    //Gerar ocorrências das contas recorrentes para o mês informado
+    const { month, year } = request.body;
 
-      for (const bill of getAllBillsForLastMonth) {
-        if (bill.repeat) {
-          parcel = parseInt(bill.installments.split("/")[0]);
-          totalParcel = parseInt(bill.installments.split("/")[1]);
-          if (parcel == totalParcel) continue;
-        }
+    try {
+      const { created, skipped } = await recurrenceService.materializeMonth(request.user_id, month, year);
 
-        const data = {
-          user_id: user_id,
-          bill_name: bill.bill_name,
-          bill_category: bill.bill_category,
-          bill_type: bill.bill_type,
-          bill_value: bill.bill_value,
-          buy_date: endOfLastMonth,
-          fixed: bill.fixed,
-          repeat: bill.repeat,
-          installments: bill.repeat ? `${parcel + 1}/${totalParcel}` : bill.installments,
-          payment_type: bill.payment_type,
-        };
+      return reply.status(200).send({
+        message: "Monthly bills created successfully!",
+        data: created,
+        skipped,
+      });
+    } catch (error) {
+      console.error("❌ billsController.createMonthlyBills:", error);
+      return reply.status(500).send({ message: "Erro ao gerar contas do mês" });
+    }
+  }
+
+  async updateSeries(request, reply) {
+    //Editar ocorrência recorrente (this / future / all)
+    const { id } = request.params;
+    const { scope, ...changes } = request.body;
 
-        const billCreated = await billsModel.create(data);
-        billsUpdate.push(billCreated);
+    try {
+      if (changes.account_id) changes.account_id = await accountService.resolveAccountId(request.user_id, changes);
+      await categoryService.applyCategoryId(request.user_id, changes);
+      if (changes.bill_category !== undefined || changes.splits !== undefined) {
+        await categoryService.assignCategories(request.user_id, [changes]);
       }
 
-      return reply.status(200).send({
-        message: "Monthly bills created successfullyy!",
-        data: billsUpdate,
+      const result = await recurrenceService.updateSeries(request.user_id, id, scope, changes);
+
+      if (!result) {
+        return reply.status(404).send({ message: "This id not exists" });
+      }
+      await cardStatementService.assign(request.user_id, {
+        $or: [{ _id: result.bill._id }, { series_id: result.bill._id }, { _id: id }],
       });
+
+      return reply.status(200).send({ message: "Series updated successfully", ...result });
     } catch (error) {
-      reply.status(404).send({ message: error });
+      console.error("❌ billsController.updateSeries:", error);
+      if (error instanceof accountService.AccountError || error instanceof categoryService.CategoryError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      if (error instanceof currencyService.CurrencyError) {
+        return reply.status(error.statusCode).send({ message: error.message, details: error.details });
+      }
+      // Divisões que não somam o valor da conta
+      if (error.name === "ValidationError") {
+        return reply.status(400).send({ message: error.message });
+      }
+      return reply.status(404).send({ message: "This id not exists" });
     }
   }
 }
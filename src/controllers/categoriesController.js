@@ -1,4 +1,18 @@
 const Category = require("../models/categoryModel");
+const reportService = require("../services/reportService");
+const categoryService = require("../services/categoryService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof categoryService.CategoryError) {
+    return reply.status(error.statusCode).send({ message: error.message, ...(error.details ? { details: error.details } : {}) });
+  }
+  if (error.name === "ValidationError") {
+    return reply.status(400).send({ message: error.message });
+  }
+
+  console.error(`❌ categoriesController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
 
 class categoriesController {
   async getCategories(request, reply) {
@@ -6,31 +20,37 @@ class categoriesController {
 
     return reply.status(201).send(categories);
   }
+
+  async getTree(request, reply) {
+    //Categorias com as subcategorias aninhadas
+    try {
+      const locale = await categoryService.localeFor(request.user_id, request.query.locale);
+      const tree = await categoryService.tree(request.user_id, locale);
+      return reply.status(200).send(tree);
+    } catch (error) {
+      return handleError(reply, error, "getTree");
+    }
+  }
   async createCategory(request, reply) {
-    const { name, description, color, icon, category_type, isActive, budget } = request.body;
+    const { description, color, icon, category_type, isActive, budget, parent_id } = request.body;
+    const name = request.body.name && String(request.body.name).trim();
     const user_id = request.user_id;
 
     try {
-      // Verifica se a categoria já existe para o usuário
-      const existingCategory = await Category.findOne({
-        user_id,
-        name,
-      });
-
-      if (existingCategory) {
-        return reply.status(409).send({ message: "Essa categoria já existe." });
-      }
-
       // Verifica se o nome da categoria foi fornecido
       if (!name) {
         return reply.status(400).send({ message: "O nome da categoria é obrigatório." });
       }
 
+      // Verifica se a categoria já existe para o usuário (sem diferenciar maiúsculas e acentos)
+      await categoryService.assertUniqueName(user_id, name);
+
       // Cria uma nova categoria
       const newCategory = new Category({
         user_id,
         name,
         description,
+        parent_id: await categoryService.validateParent(user_id, parent_id),
         category_type,
         isActive,
         budget,
@@ -44,26 +64,95 @@ class categoriesController {
       // Retorna a categoria criada
       return reply.status(201).send(savedCategory);
     } catch (error) {
+      if (error instanceof categoryService.CategoryError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
       return reply.status(500).send(error);
     }
   }
 
-  async deleteCategory(request, reply) {
-    //Deletar conta
-    const { id } = request.params;
+  async updateCategory(request, reply) {
+    //Editar categoria; renomear atualiza as contas que a usam
+    try {
+      const { category, billsUpdated } = await categoryService.update(request.user_id, request.params.id, request.body);
+      return reply.status(200).send({ message: "Category updated successfully", category, billsUpdated });
+    } catch (error) {
+      return handleError(reply, error, "updateCategory");
+    }
+  }
 
+  async getReport(request, reply) {
+    //Gastos por categoria (contando divisões) x orçamento
     try {
-      const catgory = await Category.findOneAndDelete({
-        _id: id,
-        user_id: request.user_id,
+      const report = await reportService.categoryReport(request.user_id, request.query);
+      return reply.status(200).send(report);
+    } catch (error) {
+      console.error("❌ categoriesController.getReport:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
+
+  async getTemplates(request, reply) {
+    //Pacotes de categorias sugeridas no idioma pedido (ou no do usuário)
+    try {
+      const locale = await categoryService.localeFor(request.user_id, request.query.locale);
+      return reply.status(200).send({ locale, packs: categoryService.templates(locale) });
+    } catch (error) {
+      return handleError(reply, error, "getTemplates");
+    }
+  }
+
+  async applyTemplate(request, reply) {
+    //Criar as categorias do pacote que o usuário ainda não tem
+    try {
+      const locale = await categoryService.localeFor(request.user_id, request.body && request.body.locale);
+      const result = await categoryService.applyTemplate(request.user_id, request.params.pack, locale);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "applyTemplate");
+    }
+  }
+
+  async getUsage(request, reply) {
+    //Quantas contas, orçamentos e regras usam a categoria
+    try {
+      const category = await categoryService.get(request.user_id, request.params.id);
+      const usage = await categoryService.usage(request.user_id, category);
+      return reply.status(200).send(usage);
+    } catch (error) {
+      return handleError(reply, error, "getUsage");
+    }
+  }
+
+  async deleteCategory(request, reply) {
+    //Mover categoria para a lixeira; se estiver em uso, as contas vão para reassign_to ou "Sem categoria"
+    try {
+      const { usage, target, billsUpdated } = await categoryService.remove(request.user_id, request.params.id, request.query);
+      const locale = await categoryService.localeFor(request.user_id);
+      return reply.status(200).send({
+        message: "Category successfully deleted",
+        usage,
+        target: target && categoryService.present(target, locale),
+        billsUpdated,
       });
+    } catch (error) {
+      return handleError(reply, error, "deleteCategory");
+    }
+  }
 
-      if (!catgory) {
-        return reply.status(404).send({ message: "Category not found" });
-      }
-      return reply.status(200).send({ message: "Category successfully deleted" });
+  async mergeCategory(request, reply) {
+    //Juntar a categoria em outra (into) e mandá-la para a lixeira
+    try {
+      const { usage, target, billsUpdated } = await categoryService.merge(request.user_id, request.params.id, request.body.into);
+      const locale = await categoryService.localeFor(request.user_id);
+      return reply.status(200).send({
+        message: "Categories merged successfully",
+        usage,
+        target: categoryService.present(target, locale),
+        billsUpdated,
+      });
     } catch (error) {
-      return reply.status(404).send({ message: "Category not found" });
+      return handleError(reply, error, "mergeCategory");
     }
   }
 }
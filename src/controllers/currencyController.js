@@ -0,0 +1,70 @@
+const currencyService = require("../services/currencyService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof currencyService.CurrencyError) {
+    return reply.status(error.statusCode).send({ message: error.message, details: error.details });
+  }
+
+  console.error(`❌ currencyController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class currencyController {
+  async listRates(request, reply) {
+    try {
+      const rates = await currencyService.listRates(request.user_id, request.query);
+      return reply.status(200).send(rates);
+    } catch (error) {
+      return handleError(reply, error, "listRates");
+    }
+  }
+
+  async upsertRates(request, reply) {
+    //Cadastrar/atualizar cotações manualmente
+    try {
+      const result = await currencyService.upsertRates(request.user_id, request.body.rates);
+      return reply.status(200).send({ message: "Exchange rates saved", ...result });
+    } catch (error) {
+      return handleError(reply, error, "upsertRates");
+    }
+  }
+
+  async uploadRates(request, reply) {
+    //Importar cotações de um CSV
+    try {
+      const file = await request.file();
+      if (!file) {
+        return reply.status(400).send({ message: "Nenhum arquivo enviado" });
+      }
+
+      const result = await currencyService.importRatesCsv(request.user_id, await file.toBuffer());
+      return reply.status(200).send({ message: "Exchange rates imported", ...result });
+    } catch (error) {
+      return handleError(reply, error, "uploadRates");
+    }
+  }
+
+  async deleteRate(request, reply) {
+    try {
+      const rate = await currencyService.removeRate(request.user_id, request.params.id);
+      if (!rate) {
+        return reply.status(404).send({ message: "Exchange rate not found" });
+      }
+      return reply.status(200).send({ message: "Exchange rate successfully deleted" });
+    } catch (error) {
+      return handleError(reply, error, "deleteRate");
+    }
+  }
+
+  async changeBaseCurrency(request, reply) {
+    //Trocar moeda base recalculando contas e orçamentos
+    try {
+      const result = await currencyService.changeBaseCurrency(request.user_id, request.body.base_currency);
+      return reply.status(200).send({ message: "Base currency updated", ...result });
+    } catch (error) {
+      return handleError(reply, error, "changeBaseCurrency");
+    }
+  }
+}
+
+module.exports = new currencyController();
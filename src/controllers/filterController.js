@@ -1,17 +1,17 @@
-// import { Request, Response } from 'express';
-
-const billsModel = require("../models/billsModel");
+const analyticsService = require("../services/analyticsService");
 
 class filterController {
-  async getData(request, reply) {
+  async getAnalytics(request, reply) {
+    //Totais agrupados das contas do usuário para os gráficos do dashboard
     try {
-      const filter = request.query; // Obter os parâmetros de consulta da solicitação
-
-      const result = await billsModel.find(filter); // Executar a consulta no MongoDB
+      const result = await analyticsService.aggregate(request.user_id, request.query);
       return reply.status(200).send(result);
     } catch (error) {
-      console.error(error);
-      return reply.status(500).send({ message: "Erro interno ao processar a solicitação." });
+      if (error instanceof analyticsService.AnalyticsError) {
+        return reply.status(error.statusCode).send({ message: error.message });
+      }
+      console.error("❌ filterController.getAnalytics:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
     }
   }
 }
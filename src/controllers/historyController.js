@@ -0,0 +1,42 @@
+const historyService = require("../services/historyService");
+const transferService = require("../services/transferService");
+const categoryService = require("../services/categoryService");
+const cardStatementService = require("../services/cardStatementService");
+
+class historyController {
+  async list(request, reply) {
+    //Linha do tempo de alterações da conta
+    try {
+      const history = await historyService.list(request.user_id, request.params.id);
+      return reply.status(200).send(history);
+    } catch (error) {
+      return reply.status(404).send({ message: "Bill not found" });
+    }
+  }
+
+  async revert(request, reply) {
+    //Restaurar a conta para uma versão anterior
+    const { id, version } = request.params;
+
+    try {
+      // A categoria da versão pode ter sido juntada a outra ou removida: resolve pelo nome, como nas contas novas
+      const bill = await historyService.revert(request.user_id, id, version, (reverted) =>
+        categoryService.assignCategories(request.user_id, [reverted])
+      );
+
+      if (!bill) {
+        return reply.status(404).send({ message: "Version not found" });
+      }
+      // Lado de transferência: o outro lado volta junto (valor, data, status...)
+      await transferService.syncCounterparts(request.user_id, [bill]);
+      await cardStatementService.assign(request.user_id, { _id: bill._id });
+
+      return reply.status(200).send({ message: "Bill reverted successfully", bill });
+    } catch (error) {
+      console.error("❌ historyController.revert:", error);
+      return reply.status(404).send({ message: "Version not found" });
+    }
+  }
+}
+
+module.exports = new historyController();
@@ -5,6 +5,14 @@ const { v4: uuidv4 } = require('uuid');
 const billsModel = require('../models/billsModel');
 const billsController = require('./billsController');
 const streamingService = require('../services/streamingService');
+const historyService = require('../services/historyService');
+const tagService = require('../services/tagService');
+const { toCents, fromCents } = require('../utils/money');
+const { normalizeText } = require('../utils/search');
+const accountService = require('../services/accountService');
+const cardStatementService = require('../services/cardStatementService');
+const categoryService = require('../services/categoryService');
+const reconciliationService = require('../services/reconciliationService');
 
 // Armazenamento temporário em memória (em produção, usar Redis ou similar)
 const tempStorage = new Map();
@@ -15,6 +23,7 @@ class ImportController {
         this.uploadFile = this.uploadFile.bind(this);
         this.getPreview = this.getPreview.bind(this);
         this.confirmImport = this.confirmImport.bind(this);
+        this.reconcileImport = this.reconcileImport.bind(this);
         this.processImportWithStreaming = this.processImportWithStreaming.bind(this);
         this.processImport = this.processImport.bind(this);
         this.mapRowToTransaction = this.mapRowToTransaction.bind(this);
@@ -278,7 +287,8 @@ class ImportController {
             payment_type: null,
             installments: null,
             repeat: null,
-            fixed: null
+            fixed: null,
+            tags: null
         };
 
         if (type === 'gbmoney_csv') {
@@ -291,6 +301,7 @@ class ImportController {
             mapping.installments = 'Parcelas';
             mapping.repeat = 'Repete';
             mapping.fixed = 'Fixa';
+            mapping.tags = this.findColumn(headers, ['tags', 'etiquetas', 'marcadores']);
         } else if (type === 'nubank') {
             // Mapeamento específico para Nubank (usa nomes exatos das colunas)
             mapping.date = 'date';
@@ -302,12 +313,14 @@ class ImportController {
             mapping.installments = null;
             mapping.repeat = null;
             mapping.fixed = null;
+            mapping.tags = this.findColumn(headers, ['tags', 'etiquetas', 'marcadores']);
         } else {
             // Mapeamento genérico
             mapping.date = this.findColumn(headers, ['data', 'date', 'dt']);
             mapping.description = this.findColumn(headers, ['descrição', 'description', 'desc', 'historico']);
             mapping.amount = this.findColumn(headers, ['valor', 'amount', 'value', 'vlr']);
             mapping.category = this.findColumn(headers, ['categoria', 'category', 'cat']);
+            mapping.tags = this.findColumn(headers, ['tags', 'etiquetas', 'marcadores']);
         }
 
         return mapping;
@@ -570,7 +583,8 @@ class ImportController {
             payment_type: mapping.payment_type ? (row[mapping.payment_type] || 'Importado') : 'Nubank',
             repeat: mapping.repeat ? this.parseBoolean(row[mapping.repeat]) : false,
             installments: mapping.installments ? (row[mapping.installments] || '1/1') : '1/1',
-            fixed: mapping.fixed ? this.parseBoolean(row[mapping.fixed]) : false
+            fixed: mapping.fixed ? this.parseBoolean(row[mapping.fixed]) : false,
+            tags: mapping.tags ? this.parseTags(row[mapping.tags]) : []
         };
 
         console.log('🆔 UserID convertido de', userId, 'para', validUserId);
@@ -651,13 +665,20 @@ class ImportController {
         // Remover espaços restantes
         cleaned = cleaned.trim();
 
-        const amount = parseFloat(cleaned);
+        // Conversão exata do texto para centavos (sem parseFloat)
+        const cents = toCents(cleaned);
 
-        if (isNaN(amount)) {
+        if (cents === '' || isNaN(cents)) {
             throw new Error(`Valor inválido: ${amountStr}`);
         }
 
-        return Math.abs(amount); // Sempre positivo, o tipo é determinado pela função de tipo
+        return fromCents(Math.abs(cents)); // Sempre positivo, o tipo é determinado pela função de tipo
+    }
+
+    // Parse de tags separadas por vírgula, ponto e vírgula ou barra vertical
+    parseTags(tagsStr) {
+        if (!tagsStr) return [];
+        return billsModel.normalizeTags(tagsStr.toString().split(/[;,|]/));
     }
 
     // Parse de valores booleanos do GBMoney
@@ -999,19 +1020,24 @@ class ImportController {
         let successCount = 0;
         let errorCount = 0;        try {
             // Tentar inserção em massa primeiro (mais eficiente)
+            let saved = null;
             try {
                 console.log('💾 Tentando inserção em massa...');
                 console.log('💾 Conectado ao MongoDB?', billsModel.db.readyState === 1 ? 'SIM' : 'NÃO');
                 console.log('💾 Nome da collection:', billsModel.collection.name);
 
-                const saved = await billsModel.insertMany(batch, { ordered: false });
+                // Lançamentos vão para a conta associada à forma de pagamento
+                const accounts = await accountService.paymentTypeMap(batch[0].user_id);
+                batch.forEach(transaction => {
+                    if (!transaction.account_id) transaction.account_id = accounts.get(normalizeText(transaction.payment_type));
+                });
+                // Categorias do arquivo que ainda não existem são criadas
+                await categoryService.assignCategories(batch[0].user_id, batch);
+
+                saved = await billsModel.insertMany(batch, { ordered: false });
                 console.log('✅ INSERÇÃO EM MASSA SUCESSO! Salvou', saved.length, 'transações');
                 console.log('✅ IDs das transações salvas:', saved.map(doc => doc._id));
 
-                // Verificar se foram realmente salvas
-                const count = await billsModel.countDocuments({});
-                console.log('📊 Total de documentos na collection bills:', count);
-
                 results.push(...saved);
                 successCount = saved.length;
 
@@ -1062,6 +1088,19 @@ class ImportController {
                 });
             }
 
+            // Passos depois da inserção em massa ficam fora dela: se falharem, o lote já salvo não é inserido de novo
+            if (saved) {
+                try {
+                    await historyService.recordCreated(batch[0].user_id, 'import', saved);
+                    await tagService.ensureTags(batch[0].user_id, batch.flatMap(transaction => transaction.tags || []));
+                    // Compras no cartão caem na fatura pelo fechamento, não pela data da compra
+                    await cardStatementService.assign(batch[0].user_id, { _id: { $in: saved.map(doc => doc._id) } });
+                } catch (error) {
+                    console.error('❌ Erro depois da inserção em massa:', error);
+                    streamingService.addError(uploadId, `Lote salvo, mas houve erro ao registrar histórico, tags ou faturas: ${error.message}`);
+                }
+            }
+
         } catch (error) {
             console.error('💥 ERRO CRÍTICO no processamento de lote:', error);
             console.error('💥 Stack trace:', error.stack);
@@ -1120,6 +1159,93 @@ class ImportController {
         }
     }
 
+    // Ler todas as transações válidas do arquivo, sem salvar (usado na conciliação)
+    async readTransactions(uploadData, mapping, categoryMapping, userId) {
+        const { Transform } = require('stream');
+        const { pipeline } = require('stream/promises');
+
+        const transactions = [];
+        let invalid = 0;
+        const self = this;
+
+        const collect = new Transform({
+            objectMode: true,
+            transform(row, encoding, callback) {
+                if (self.isValidDataRow(row, uploadData.preview.type)) {
+                    const transaction = self.mapRowToTransaction(row, mapping, categoryMapping, userId);
+                    if (self.validateTransaction(transaction)) {
+                        transactions.push(transaction);
+                    } else {
+                        invalid++;
+                    }
+                }
+                callback();
+            }
+        });
+
+        let inputStream = fs.createReadStream(uploadData.tempPath);
+        if (uploadData.preview.type === 'gbmoney_csv') {
+            inputStream = inputStream.pipe(new Transform({
+                transform(chunk, encoding, callback) {
+                    callback(null, self.preprocessGBMoneyCSV(chunk.toString()));
+                }
+            }));
+        }
+
+        await pipeline(inputStream, csv({ separator: ',', skipEmptyLines: true }), collect);
+
+        return { transactions, invalid };
+    }
+
+    // Conciliar o extrato enviado com as contas já lançadas, em vez de importar tudo
+    async reconcileImport(request, reply) {
+        const { uploadId } = request.params;
+        const { mapping, categoryMapping, account_id, date_window_days } = request.body || {};
+
+        const uploadData = tempStorage.get(uploadId);
+
+        if (!uploadData) {
+            return reply.status(404).send({
+                error: 'Upload não encontrado ou expirado'
+            });
+        }
+
+        if (uploadData.userId !== request.user_id) {
+            return reply.status(403).send({
+                error: 'Não autorizado'
+            });
+        }
+
+        try {
+            const { transactions, invalid } = await this.readTransactions(
+                uploadData,
+                mapping && typeof mapping === 'object' ? mapping : uploadData.preview.mapping,
+                categoryMapping && typeof categoryMapping === 'object' ? categoryMapping : {},
+                request.user_id
+            );
+
+            const reconciliation = await reconciliationService.create(request.user_id, {
+                filename: uploadData.filename,
+                transactions,
+                account_id,
+                date_window_days
+            });
+
+            fs.unlink(uploadData.tempPath, () => {});
+            tempStorage.delete(uploadId);
+
+            return reply.status(201).send({ reconciliation, invalidRows: invalid });
+        } catch (error) {
+            if (error instanceof reconciliationService.ReconciliationError || error instanceof accountService.AccountError) {
+                return reply.status(error.statusCode).send({ error: error.message });
+            }
+            console.error('❌ importController.reconcileImport:', error);
+            return reply.status(500).send({
+                error: 'Erro ao conciliar extrato'
+            });
+        }
+    }
+
     // Limpar uploads antigos (agora remove arquivos do disco também)
     cleanupOldUploads() {
         const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
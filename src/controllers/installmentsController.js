@@ -0,0 +1,98 @@
+const installmentService = require("../services/installmentService");
+const accountService = require("../services/accountService");
+const categoryService = require("../services/categoryService");
+
+const handleError = (reply, error, context) => {
+  if (
+    error instanceof installmentService.InstallmentError ||
+    error instanceof accountService.AccountError ||
+    error instanceof categoryService.CategoryError
+  ) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+  if (error.name === "ValidationError") {
+    return reply.status(400).send({ message: error.message });
+  }
+  // Id do plano mal formado
+  if (error.name === "CastError") {
+    return reply.status(404).send({ message: "Installment plan not found" });
+  }
+
+  console.error(`❌ installmentsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class installmentsController {
+  async createPlan(request, reply) {
+    //Criar compra parcelada com todas as parcelas
+    try {
+      const { plan, bills } = await installmentService.createPlan(request.user_id, request.body);
+
+      return reply.status(201).send({ message: "Installment plan has been created!", plan, bills });
+    } catch (error) {
+      return handleError(reply, error, "createPlan");
+    }
+  }
+
+  async findOne(request, reply) {
+    //Listar plano e suas parcelas
+    try {
+      const result = await installmentService.getPlan(request.user_id, request.params.id);
+
+      if (!result) {
+        return reply.status(404).send({ message: "Installment plan not found" });
+      }
+
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "findOne");
+    }
+  }
+
+  async payOff(request, reply) {
+    //Quitar parcelas restantes antecipadamente
+    try {
+      const result = await installmentService.payOff(request.user_id, request.params.id, request.body || {});
+
+      if (!result) {
+        return reply.status(404).send({ message: "Installment plan not found" });
+      }
+
+      return reply.status(200).send({ message: "Installment plan paid off", ...result });
+    } catch (error) {
+      return handleError(reply, error, "payOff");
+    }
+  }
+
+  async updatePlan(request, reply) {
+    //Editar parcelas restantes
+    try {
+      const result = await installmentService.updateRemaining(request.user_id, request.params.id, request.body);
+
+      if (!result) {
+        return reply.status(404).send({ message: "Installment plan not found" });
+      }
+
+      return reply.status(200).send({ message: "Remaining installments updated", ...result });
+    } catch (error) {
+      return handleError(reply, error, "updatePlan");
+    }
+  }
+
+  async deletePlan(request, reply) {
+    //Deletar plano e todas as parcelas
+    try {
+      const result = await installmentService.deletePlan(request.user_id, request.params.id);
+
+      if (!result) {
+        return reply.status(404).send({ message: "Installment plan not found" });
+      }
+
+      return reply.status(200).send({ message: "Installment plan successfully deleted", deletedBills: result.deletedBills });
+    } catch (error) {
+      return handleError(reply, error, "deletePlan");
+    }
+  }
+}
+
+module.exports = new installmentsController();
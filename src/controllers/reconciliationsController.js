@@ -0,0 +1,63 @@
+const reconciliationService = require("../services/reconciliationService");
+const accountService = require("../services/accountService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof reconciliationService.ReconciliationError || error instanceof accountService.AccountError) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+
+  console.error(`❌ reconciliationsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class reconciliationsController {
+  async getReconciliations(request, reply) {
+    try {
+      const reconciliations = await reconciliationService.list(request.user_id);
+      return reply.status(200).send(reconciliations);
+    } catch (error) {
+      return handleError(reply, error, "getReconciliations");
+    }
+  }
+
+  async findOne(request, reply) {
+    //Sessão com as linhas do extrato e as sugestões
+    try {
+      const reconciliation = await reconciliationService.get(request.user_id, request.params.id);
+      return reply.status(200).send(reconciliation);
+    } catch (error) {
+      return handleError(reply, error, "findOne");
+    }
+  }
+
+  async decideLine(request, reply) {
+    //Aceitar, rejeitar, criar conta ou ignorar uma linha
+    try {
+      const line = await reconciliationService.decide(request.user_id, request.params.id, request.params.index, request.body);
+      return reply.status(200).send({ message: "Line updated", line });
+    } catch (error) {
+      return handleError(reply, error, "decideLine");
+    }
+  }
+
+  async acceptAll(request, reply) {
+    //Aceitar as sugestões com confiança mínima
+    try {
+      const result = await reconciliationService.acceptAll(request.user_id, request.params.id, request.body?.minConfidence);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "acceptAll");
+    }
+  }
+
+  async complete(request, reply) {
+    try {
+      const reconciliation = await reconciliationService.complete(request.user_id, request.params.id);
+      return reply.status(200).send({ message: "Reconciliation completed", reconciliation });
+    } catch (error) {
+      return handleError(reply, error, "complete");
+    }
+  }
+}
+
+module.exports = new reconciliationsController();
@@ -0,0 +1,73 @@
+const savedViewService = require("../services/savedViewService");
+const { FilterDslError } = require("../utils/filterDsl");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof savedViewService.SavedViewError) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+  if (error instanceof FilterDslError) {
+    return reply.status(error.statusCode).send({ message: error.message, path: error.path });
+  }
+
+  console.error(`❌ savedViewsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class savedViewsController {
+  async getViews(request, reply) {
+    try {
+      const views = await savedViewService.list(request.user_id);
+      return reply.status(200).send(views);
+    } catch (error) {
+      return handleError(reply, error, "getViews");
+    }
+  }
+
+  async findOne(request, reply) {
+    try {
+      const view = await savedViewService.get(request.user_id, request.params.id);
+      return reply.status(200).send(view);
+    } catch (error) {
+      return handleError(reply, error, "findOne");
+    }
+  }
+
+  async createView(request, reply) {
+    try {
+      const view = await savedViewService.create(request.user_id, request.body);
+      return reply.status(201).send(view);
+    } catch (error) {
+      return handleError(reply, error, "createView");
+    }
+  }
+
+  async updateView(request, reply) {
+    try {
+      const view = await savedViewService.update(request.user_id, request.params.id, request.body);
+      return reply.status(200).send({ message: "Saved view updated successfully", view });
+    } catch (error) {
+      return handleError(reply, error, "updateView");
+    }
+  }
+
+  async deleteView(request, reply) {
+    try {
+      await savedViewService.remove(request.user_id, request.params.id);
+      return reply.status(200).send({ message: "Saved view successfully deleted" });
+    } catch (error) {
+      return handleError(reply, error, "deleteView");
+    }
+  }
+
+  async runView(request, reply) {
+    //Executar a visão salva: contas e totais
+    try {
+      const result = await savedViewService.run(request.user_id, request.params.id, request.query);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "runView");
+    }
+  }
+}
+
+module.exports = new savedViewsController();
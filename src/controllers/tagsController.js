@@ -0,0 +1,62 @@
+const tagService = require("../services/tagService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof tagService.TagError) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+
+  console.error(`❌ tagsController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class tagsController {
+  async getTags(request, reply) {
+    try {
+      const tags = await tagService.list(request.user_id);
+      return reply.status(200).send(tags);
+    } catch (error) {
+      return handleError(reply, error, "getTags");
+    }
+  }
+
+  async createTag(request, reply) {
+    try {
+      const tag = await tagService.create(request.user_id, request.body);
+      return reply.status(201).send(tag);
+    } catch (error) {
+      return handleError(reply, error, "createTag");
+    }
+  }
+
+  async updateTag(request, reply) {
+    //Renomear tag atualizando todas as contas
+    try {
+      const result = await tagService.update(request.user_id, request.params.id, request.body);
+      return reply.status(200).send({ message: "Tag updated successfully", ...result });
+    } catch (error) {
+      return handleError(reply, error, "updateTag");
+    }
+  }
+
+  async deleteTag(request, reply) {
+    //Remover tag das contas e excluir
+    try {
+      const { billsUpdated } = await tagService.remove(request.user_id, request.params.id);
+      return reply.status(200).send({ message: "Tag successfully deleted", billsUpdated });
+    } catch (error) {
+      return handleError(reply, error, "deleteTag");
+    }
+  }
+
+  async getSummary(request, reply) {
+    //Totais por tag no período
+    try {
+      const summary = await tagService.summary(request.user_id, request.query);
+      return reply.status(200).send(summary);
+    } catch (error) {
+      return handleError(reply, error, "getSummary");
+    }
+  }
+}
+
+module.exports = new tagsController();
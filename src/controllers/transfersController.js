@@ -0,0 +1,62 @@
+const transferService = require("../services/transferService");
+const accountService = require("../services/accountService");
+
+const handleError = (reply, error, context) => {
+  if (error instanceof transferService.TransferError || error instanceof accountService.AccountError) {
+    return reply.status(error.statusCode).send({ message: error.message });
+  }
+
+  console.error(`❌ transfersController.${context}:`, error);
+  return reply.status(500).send({ message: "Erro interno do servidor" });
+};
+
+class transfersController {
+  async getTransfers(request, reply) {
+    try {
+      const result = await transferService.list(request.user_id, request.query);
+      return reply.status(200).send(result);
+    } catch (error) {
+      return handleError(reply, error, "getTransfers");
+    }
+  }
+
+  async findOne(request, reply) {
+    try {
+      const transfer = await transferService.get(request.user_id, request.params.id);
+      return reply.status(200).send(transfer);
+    } catch (error) {
+      return handleError(reply, error, "findOne");
+    }
+  }
+
+  async createTransfer(request, reply) {
+    //Transferir entre contas: saída na origem e entrada no destino
+    try {
+      const transfer = await transferService.create(request.user_id, request.body);
+      return reply.status(201).send(transfer);
+    } catch (error) {
+      return handleError(reply, error, "createTransfer");
+    }
+  }
+
+  async updateTransfer(request, reply) {
+    try {
+      const transfer = await transferService.update(request.user_id, request.params.id, request.body);
+      return reply.status(200).send({ message: "Transfer updated successfully", transfer });
+    } catch (error) {
+      return handleError(reply, error, "updateTransfer");
+    }
+  }
+
+  async deleteTransfer(request, reply) {
+    //Move os dois lados para a lixeira
+    try {
+      await transferService.remove(request.user_id, request.params.id);
+      return reply.status(200).send({ message: "Transfer successfully deleted" });
+    } catch (error) {
+      return handleError(reply, error, "deleteTransfer");
+    }
+  }
+}
+
+module.exports = new transfersController();
@@ -0,0 +1,38 @@
+const trashService = require("../services/trashService");
+
+class trashController {
+  async list(request, reply) {
+    //Listar itens da lixeira
+    try {
+      const trash = await trashService.list(request.user_id);
+      return reply.status(200).send(trash);
+    } catch (error) {
+      console.error("❌ trashController.list:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
+
+  async restore(request, reply) {
+    //Restaurar contas e categorias da lixeira
+    try {
+      const restored = await trashService.restore(request.user_id, request.body);
+      return reply.status(200).send({ message: "Items restored", restored });
+    } catch (error) {
+      console.error("❌ trashController.restore:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
+
+  async empty(request, reply) {
+    //Esvaziar a lixeira
+    try {
+      const deleted = await trashService.empty(request.user_id);
+      return reply.status(200).send({ message: "Trash emptied", deleted });
+    } catch (error) {
+      console.error("❌ trashController.empty:", error);
+      return reply.status(500).send({ message: "Erro interno do servidor" });
+    }
+  }
+}
+
+module.exports = new trashController();
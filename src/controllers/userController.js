@@ -5,6 +5,30 @@ const jwt = require("jsonwebtoken");
 const usersModel = require("../models/usersModel");
 const billsModel = require("../models/billsModel");
 const Category = require("../models/categoryModel");
+const Account = require("../models/accountModel");
+const BillHistory = require("../models/billHistoryModel");
+const CardStatement = require("../models/cardStatementModel");
+const ExchangeRate = require("../models/exchangeRateModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const Reconciliation = require("../models/reconciliationModel");
+const SavedView = require("../models/savedViewModel");
+const Tag = require("../models/tagModel");
+const attachmentService = require("../services/attachmentService");
+const { withTransaction } = require("../utils/transaction");
+
+// Tudo o que é gravado por usuário (inclusive o que está na lixeira); anexos saem antes, com os arquivos
+const USER_MODELS = [
+  billsModel,
+  BillHistory,
+  Category,
+  Account,
+  Tag,
+  InstallmentPlan,
+  SavedView,
+  Reconciliation,
+  CardStatement,
+  ExchangeRate,
+];
 
 class userController {
   async getUser(request, reply) {
@@ -53,19 +77,16 @@ class userController {
       const userId = request.user_id;
 
       const user = await usersModel.findById(userId);
-      const bills = await billsModel.find({ user_id: userId });
-      const category = await Category.find({ user_id: userId });
 
       if (user) {
-        if (bills) {
-          await billsModel.deleteMany({ user_id: userId });
-        }
-
-        if (category) {
-          await Category.deleteMany({ user_id: userId });
-        }
-
-        await usersModel.findByIdAndDelete(userId);
+        await attachmentService.removeForUser(userId);
+
+        await withTransaction(async (session) => {
+          for (const model of USER_MODELS) {
+            await model.deleteMany({ user_id: userId }, { session });
+          }
+          await usersModel.deleteOne({ _id: userId }, { session });
+        });
       } else {
         return reply.status(404).send({ message: "Usuário não encontrado." });
       }
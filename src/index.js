@@ -70,6 +70,25 @@ fastify.listen({ port: 3333, host: "0.0.0.0" }, (err, address) => {
   setInterval(() => {
     streamingService.cleanup();
   }, 30 * 60 * 1000);
+
+  // Migrações são aplicadas só com `npm run migrate`, antes de o código novo atender requisições;
+  // aqui apenas avisamos se alguma ficou pendente
+  const migrations = require('./migrations');
+  migrations.pending()
+    .then((pending) => {
+      if (pending.length) fastify.log.warn({ pending: pending.map((migration) => migration.name) }, 'Migrações pendentes: rode `npm run migrate`');
+    })
+    .catch((error) => fastify.log.error(error));
+
+  // Remove da lixeira o que passou do período de retenção (TRASH_RETENTION_DAYS)
+  const trashService = require('./services/trashService');
+  const purgeTrash = () => {
+    trashService.purgeExpired()
+      .then((deleted) => fastify.log.info({ deleted }, 'Lixeira: itens expirados removidos'))
+      .catch((error) => fastify.log.error(error));
+  };
+  purgeTrash();
+  setInterval(purgeTrash, 6 * 60 * 60 * 1000);
   
   fastify.log.info(`🚀 Servidor rodando em ${address}`);
   fastify.log.info(`📡 WebSocket disponível em ws://localhost:3333/ws/import-progress`);
@@ -0,0 +1,56 @@
+const billsModel = require("../models/billsModel");
+const Category = require("../models/categoryModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+
+// Reais (float) -> centavos inteiros; campos ausentes ou não numéricos ficam como estão
+const toCentsExpr = (field) => ({
+  $cond: [{ $isNumber: field }, { $toLong: { $round: [{ $multiply: [field, 100] }, 0] } }, field],
+});
+
+module.exports = {
+  name: "001-money-to-cents",
+
+  // Usa a collection nativa: sem setters do Mongoose e incluindo itens na lixeira. Só converte documentos
+  // sem a marca `cents` (gravados pelo código antigo), então rodar de novo não multiplica valores já convertidos
+  async up(session) {
+    const pending = { cents: { $ne: true } };
+
+    const bills = await billsModel.collection.updateMany(
+      pending,
+      [
+        {
+          $set: {
+            cents: true,
+            bill_value: toCentsExpr("$bill_value"),
+            original_value: toCentsExpr("$original_value"),
+            splits: {
+              $cond: [
+                { $isArray: "$splits" },
+                {
+                  $map: {
+                    input: "$splits",
+                    as: "split",
+                    in: { $mergeObjects: ["$$split", { amount: toCentsExpr("$$split.amount") }] },
+                  },
+                },
+                "$splits",
+              ],
+            },
+          },
+        },
+      ],
+      { session }
+    );
+
+    const categories = await Category.collection.updateMany(pending, [{ $set: { cents: true, budget: toCentsExpr("$budget") } }], {
+      session,
+    });
+    const plans = await InstallmentPlan.collection.updateMany(
+      pending,
+      [{ $set: { cents: true, total_value: toCentsExpr("$total_value") } }],
+      { session }
+    );
+
+    return { bills: bills.modifiedCount, categories: categories.modifiedCount, installmentPlans: plans.modifiedCount };
+  },
+};
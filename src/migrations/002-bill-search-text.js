@@ -0,0 +1,10 @@
+const searchService = require("../services/searchService");
+
+// Preenche o texto de busca das contas criadas antes da busca existir
+module.exports = {
+  name: "002-bill-search-text",
+
+  async up(session) {
+    return { bills: await searchService.reindex({}, session) };
+  },
+};
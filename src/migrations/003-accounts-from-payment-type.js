@@ -0,0 +1,82 @@
+const billsModel = require("../models/billsModel");
+const Account = require("../models/accountModel");
+const { normalizeText } = require("../utils/search");
+
+// Tipo provável da conta a partir do nome da forma de pagamento
+const guessType = (paymentType) => {
+  const text = normalizeText(paymentType);
+  if (/credit|credito|cartao/.test(text)) return "credit_card";
+  if (/dinheiro|cash|especie/.test(text)) return "cash";
+  if (/poupanca|savings/.test(text)) return "savings";
+  if (/invest/.test(text)) return "investment";
+  return "checking";
+};
+
+module.exports = {
+  name: "003-accounts-from-payment-type",
+
+  // Cria uma conta por forma de pagamento já usada (variações de acento/maiúsculas viram a mesma conta)
+  // e liga a ela as contas existentes, inclusive as da lixeira
+  async up(session) {
+    const rows = await billsModel.collection
+      .aggregate(
+        [
+          { $match: { account_id: null, payment_type: { $nin: [null, ""] } } },
+          { $group: { _id: { user_id: "$user_id", payment_type: "$payment_type" }, first_date: { $min: "$buy_date" }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        { session }
+      )
+      .toArray();
+
+    const groups = new Map();
+    rows.forEach(({ _id, first_date }) => {
+      const normalized = normalizeText(_id.payment_type);
+      if (!normalized) return;
+
+      const key = `${_id.user_id}|${normalized}`;
+      const group = groups.get(key) || { user_id: _id.user_id, name: _id.payment_type.trim(), normalized, values: [], first_date };
+      group.values.push(_id.payment_type);
+      if (first_date && (!group.first_date || first_date < group.first_date)) group.first_date = first_date;
+      groups.set(key, group);
+    });
+
+    let accounts = 0;
+    let bills = 0;
+
+    for (const group of groups.values()) {
+      const existing = await Account.findOne({
+        user_id: group.user_id,
+        $or: [{ payment_types: group.normalized }, { name: group.name }],
+      }).session(session);
+
+      const account =
+        existing ||
+        (
+          await Account.create(
+            [
+              {
+                user_id: group.user_id,
+                name: group.name,
+                type: guessType(group.name),
+                opening_balance: 0,
+                opening_date: group.first_date || new Date(),
+                payment_types: [group.normalized],
+              },
+            ],
+            { session }
+          )
+        )[0];
+      if (!existing) accounts += 1;
+
+      const { modifiedCount } = await billsModel.collection.updateMany(
+        { user_id: group.user_id, account_id: null, payment_type: { $in: group.values } },
+        { $set: { account_id: account._id } },
+        { session }
+      );
+      bills += modifiedCount;
+    }
+
+    return { accounts, bills };
+  },
+};
@@ -0,0 +1,62 @@
+const billsModel = require("../models/billsModel");
+const Category = require("../models/categoryModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const categoryService = require("../services/categoryService");
+const { normalizeText } = require("../utils/search");
+
+module.exports = {
+  name: "004-bill-category-ids",
+
+  // Liga as contas (inclusive divisões, lixeira e parcelamentos) às categorias pelo id. Os nomes são comparados
+  // sem diferenciar maiúsculas e acentos; os que não batem com nenhuma categoria viram categorias novas
+  async up(session) {
+    const rows = await billsModel.collection
+      .aggregate(
+        [
+          { $project: { user_id: 1, bill_type: 1, names: { $concatArrays: [["$bill_category"], { $ifNull: ["$splits.category", []] }] } } },
+          { $unwind: "$names" },
+          { $match: { names: { $nin: [null, ""] } } },
+          { $group: { _id: { user_id: "$user_id", name: "$names" }, type: { $first: "$bill_type" }, count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+        ],
+        { session }
+      )
+      .toArray();
+
+    const users = new Map();
+    rows.forEach(({ _id, type }) => {
+      const key = String(_id.user_id);
+      const user = users.get(key) || { user_id: _id.user_id, entries: [] };
+      user.entries.push({ name: _id.name, type });
+      users.set(key, user);
+    });
+
+    const countCategories = () => Category.countDocuments({}).setOptions({ withDeleted: true, session });
+    const categoriesBefore = await countCategories();
+    let bills = 0;
+    let splits = 0;
+
+    for (const { user_id, entries } of users.values()) {
+      const byKey = await categoryService.resolveNames(user_id, entries, session);
+
+      for (const { name } of entries) {
+        const category = byKey.get(normalizeText(name));
+        if (!category) continue;
+
+        const update = { $set: { bill_category: category.name, category_id: category._id } };
+        const billsResult = await billsModel.collection.updateMany({ user_id, bill_category: name }, update, { session });
+        const splitsResult = await billsModel.collection.updateMany(
+          { user_id, "splits.category": name },
+          { $set: { "splits.$[split].category": category.name, "splits.$[split].category_id": category._id } },
+          { session, arrayFilters: [{ "split.category": name }] }
+        );
+        await InstallmentPlan.collection.updateMany({ user_id, bill_category: name }, update, { session });
+
+        bills += billsResult.modifiedCount;
+        splits += splitsResult.modifiedCount;
+      }
+    }
+
+    return { categories: (await countCategories()) - categoriesBefore, bills, splits };
+  },
+};
@@ -0,0 +1,36 @@
+const Migration = require("../models/migrationModel");
+const { withTransaction } = require("../utils/transaction");
+
+// Em ordem de aplicação; cada migração roda uma única vez, dentro de uma transação
+const MIGRATIONS = [
+  require("./001-money-to-cents"),
+  require("./002-bill-search-text"),
+  require("./003-accounts-from-payment-type"),
+  require("./004-bill-category-ids"),
+];
+
+class MigrationRunner {
+  async pending() {
+    const applied = new Set((await Migration.find({}, "name")).map((migration) => migration.name));
+    return MIGRATIONS.filter((migration) => !applied.has(migration.name));
+  }
+
+  async run(log = console.log) {
+    const results = [];
+
+    for (const migration of await this.pending()) {
+      const result = await withTransaction(async (session) => {
+        // O registro entra na mesma transação: duas instâncias subindo juntas não aplicam a mesma migração
+        await Migration.create([{ name: migration.name }], { session });
+        return migration.up(session);
+      });
+
+      log(`🗃️ Migração ${migration.name} aplicada`, result);
+      results.push({ name: migration.name, result });
+    }
+
+    return results;
+  }
+}
+
+module.exports = new MigrationRunner();
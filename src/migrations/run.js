@@ -0,0 +1,15 @@
+// Aplica as migrações pendentes: npm run migrate
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const startDb = require("../../database/db");
+const migrations = require("./index");
+
+startDb()
+  .then(() => migrations.run())
+  .then((results) => console.log(results.length ? `✅ ${results.length} migração(ões) aplicada(s)` : "✅ Nenhuma migração pendente"))
+  .catch((error) => {
+    console.error("❌ Erro ao aplicar migrações:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
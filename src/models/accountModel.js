@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const { moneyField } = require("../utils/money");
+
+const Schema = mongoose.Schema;
+
+const ACCOUNT_TYPES = ["checking", "savings", "credit_card", "cash", "investment"];
+
+// Conta/carteira onde o dinheiro está; o saldo é o saldo inicial mais as contas (bills) ligadas a ela
+const accountSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ACCOUNT_TYPES, required: true },
+    opening_balance: moneyField({ default: 0 }),
+    opening_date: { type: Date, default: Date.now },
+    // Formas de pagamento (bills.payment_type, normalizadas) que caem nesta conta quando account_id não é informado
+    payment_types: { type: [String], default: [] },
+    // Cartão de crédito: dia do fechamento e do vencimento da fatura (meses mais curtos usam o último dia)
+    closing_day: { type: Number, min: 1, max: 31 },
+    due_day: { type: Number, min: 1, max: 31 },
+    color: { type: String, default: "#000000" },
+    icon: { type: String, default: "fa-wallet" },
+    archived: { type: Boolean, default: false },
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+accountSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+accountSchema.pre("validate", function () {
+  if (this.type === "credit_card" && !this.closing_day !== !this.due_day) {
+    this.invalidate("closing_day", "Informe closing_day e due_day juntos");
+  }
+});
+
+// Cartão com fechamento configurado: as compras são agrupadas em faturas
+accountSchema.methods.hasStatements = function () {
+  return this.type === "credit_card" && !!this.closing_day && !!this.due_day;
+};
+
+accountSchema.statics.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+const Account = mongoose.model("Account", accountSchema);
+module.exports = Account;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const attachmentSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    bill_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "bills",
+      required: true,
+      index: true,
+    },
+    filename: { type: String, required: true },
+    content_type: { type: String, required: true },
+    size: { type: Number, required: true },
+    storage_driver: { type: String, required: true },
+    storage_key: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+const Attachment = mongoose.model("Attachment", attachmentSchema);
+module.exports = Attachment;
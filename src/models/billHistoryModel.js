@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+const changeSchema = new Schema(
+  {
+    field: String,
+    from: Schema.Types.Mixed,
+    to: Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+// Cada alteração de uma conta vira uma versão com o diff por campo e o estado resultante
+const billHistorySchema = new Schema(
+  {
+    bill_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "bills",
+      required: true,
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    version: { type: Number, required: true },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore", "import", "revert"],
+      required: true,
+    },
+    changed_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changes: [changeSchema],
+    snapshot: Schema.Types.Mixed,
+  },
+  { timestamps: { createdAt: "created_at", updatedAt: false } }
+);
+
+billHistorySchema.index({ bill_id: 1, version: 1 }, { unique: true });
+
+const BillHistory = mongoose.model("BillHistory", billHistorySchema);
+module.exports = BillHistory;
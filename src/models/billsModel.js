@@ -1,28 +1,182 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { toCents, fromCents, moneyField, centsMarker } = require("../utils/money");
+const { buildSearchText } = require("../utils/search");
 
 const Schema = mongoose.Schema;
 const ObjectId = Schema.ObjectId;
 
+// Regra de recorrência: semanal, mensal (opcionalmente no dia N) ou anual, a cada `interval` períodos
+const recurrenceSchema = new Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["weekly", "monthly", "yearly"],
+      required: true,
+    },
+    interval: { type: Number, default: 1, min: 1 },
+    day_of_month: { type: Number, min: 1, max: 31 },
+    end_date: Date,
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
+
+// Divisão da conta entre categorias; a soma das linhas deve bater com bill_value
+const splitSchema = new Schema(
+  {
+    category: { type: String, required: true },
+    category_id: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    amount: moneyField({ required: true, min: 0 }),
+    note: String,
+  },
+  { _id: false, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
 const billsSchema = new Schema(
   {
     id: ObjectId,
     bill_name: String,
+    // Nome da categoria (cópia de Category.name, mantida junto com category_id pelo categoryService)
     bill_category: String,
+    category_id: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
     bill_type: String,
     buy_date: Date,
     payment_type: String,
-    bill_value: Number,
+    account_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    // Transferência entre contas (bill_type "transfer"): dois lançamentos com o mesmo transfer_id,
+    // a saída ("out") na conta de origem e a entrada ("in") na de destino
+    transfer_id: { type: mongoose.Schema.Types.ObjectId, index: true },
+    transfer_direction: { type: String, enum: ["out", "in"] },
+    // Fatura do cartão em que a compra caiu (mantido pelo cardStatementService)
+    card_statement_id: { type: mongoose.Schema.Types.ObjectId, ref: "CardStatement", index: true },
+    // Conferida contra o extrato do banco (sessão de conciliação que a confirmou)
+    reconciled_at: Date,
+    reconciliation_id: { type: mongoose.Schema.Types.ObjectId, ref: "Reconciliation" },
+    // Valor na moeda base do usuário; o valor original fica em original_value / currency
+    bill_value: moneyField(),
+    currency: { type: String, uppercase: true, match: /^[A-Z]{3}$/ },
+    original_value: moneyField(),
+    exchange_rate: Number,
+    cents: centsMarker(),
     repeat: Boolean,
     installments: String,
     fixed: Boolean,
+    installment_plan_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InstallmentPlan",
+      index: true,
+    },
+    installment_number: Number,
+    recurrence: recurrenceSchema,
+    // Ocorrências geradas apontam para a conta que carrega a regra
+    series_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "bills",
+    },
+    occurrence_index: Number,
+    occurrence_date: Date,
+    due_date: {
+      type: Date,
+      // Sem vencimento informado, vence na data da compra
+      default: function () {
+        return this.buy_date;
+      },
+    },
+    paid_at: Date,
+    splits: { type: [splitSchema], default: undefined },
+    tags: { type: [String], default: undefined },
+    notes: String,
+    // Nome, categorias e observações normalizados (sem acentos) para a busca; mantido pelo hook abaixo
+    search_text: String,
+    // Última versão registrada no histórico (contador do historyService)
+    history_version: { type: Number, select: false },
+    // "overdue" é calculado a partir da data atual (ver isOverdue); no banco fica "pending"
+    status: {
+      type: String,
+      enum: ["pending", "paid", "overdue", "cancelled"],
+      default: "pending",
+    },
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     }, // Adicionado campo user_id
   },
-  { timestamps: true }
+  { timestamps: true, toObject: { getters: true, virtuals: false } }
 );
 
+billsSchema.index({ user_id: 1, status: 1, due_date: 1 });
+billsSchema.index({ user_id: 1, tags: 1 });
+billsSchema.index({ user_id: 1, account_id: 1, buy_date: 1 });
+billsSchema.index({ user_id: 1, category_id: 1 });
+
+// Campos monetários: no banco em centavos, nos documentos e na API em reais
+const MONEY_FIELDS = ["bill_value", "original_value", "splits.amount"];
+
+// Converte um valor em reais para o formato gravado, para filtros de intervalo ($gt, $lte...),
+// nos quais o Mongoose não aplica os setters
+billsSchema.statics.toStoredValue = (field, value) => (MONEY_FIELDS.includes(field) ? toCents(value) : value);
+billsSchema.statics.MONEY_FIELDS = MONEY_FIELDS;
+
+// Nas respostas, category_id vem com o nome, a cor e o ícone da categoria
+billsSchema.statics.CATEGORY_POPULATE = { path: "category_id", select: "name color icon" };
+
+// Remove espaços e tags repetidas
+const normalizeTags = (tags = []) => [...new Set(tags.map((tag) => String(tag).trim().replace(/\s+/g, " ")).filter(Boolean))];
+
+billsSchema.statics.normalizeTags = normalizeTags;
+
+billsSchema.pre("validate", function () {
+  if (this.tags && this.isModified("tags")) {
+    this.tags = normalizeTags(this.tags);
+  }
+});
+
+billsSchema.pre("validate", function () {
+  if (this.isNew || ["bill_name", "bill_category", "splits", "notes"].some((field) => this.isModified(field))) {
+    this.search_text = buildSearchText(this);
+  }
+});
+
+billsSchema.pre("validate", function () {
+  if (!this.splits || !this.splits.length) return;
+
+  const splitsTotal = this.splits.reduce((total, split) => total + (toCents(split.amount) || 0), 0);
+  if (splitsTotal !== (toCents(this.bill_value) || 0)) {
+    this.invalidate("splits", `A soma das divisões (${fromCents(splitsTotal)}) deve ser igual ao valor da conta (${this.bill_value})`);
+  }
+});
+
+// Conta pendente com vencimento anterior a hoje
+const isOverdue = (bill, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const dueDate = bill.due_date || bill.buy_date;
+  return (bill.status || "pending") === "pending" && !!dueDate && dueDate < today;
+};
+
+billsSchema.statics.isOverdue = isOverdue;
+
+billsSchema.set("toJSON", {
+  getters: true,
+  virtuals: false,
+  transform(doc, ret) {
+    if (isOverdue(ret)) ret.status = "overdue";
+    delete ret.search_text;
+    return ret;
+  },
+});
+
+// Garante que uma mesma ocorrência não seja gerada duas vezes
+billsSchema.index(
+  { series_id: 1, occurrence_date: 1 },
+  { unique: true, partialFilterExpression: { series_id: { $exists: true }, occurrence_date: { $exists: true } } }
+);
+
+billsSchema.plugin(softDelete);
+
 const billsModel = mongoose.model("bills", billsSchema);
 module.exports = billsModel;
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+const { moneyField } = require("../utils/money");
+
+const Schema = mongoose.Schema;
+
+// Fatura do cartão de crédito: identificada pelo mês do vencimento ("YYYY-MM");
+// as compras apontam para ela em bills.card_statement_id
+const cardStatementSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    month: { type: String, required: true, match: /^\d{4}-\d{2}$/ },
+    // Compras a partir do dia do fechamento já caem na fatura seguinte
+    closing_date: { type: Date, required: true },
+    due_date: { type: Date, required: true },
+    status: { type: String, enum: ["open", "paid"], default: "open" },
+    paid_at: Date,
+    paid_amount: moneyField(),
+    // Transferência (da conta pagadora para o cartão) que quitou a fatura
+    payment_transfer_id: mongoose.Schema.Types.ObjectId,
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+cardStatementSchema.index({ account_id: 1, month: 1 }, { unique: true });
+cardStatementSchema.index({ user_id: 1, due_date: 1 });
+
+const CardStatement = mongoose.model("CardStatement", cardStatementSchema);
+module.exports = CardStatement;
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { moneyField, centsMarker } = require("../utils/money");
 const { type } = require("os");
 
 const categorySchema = new mongoose.Schema({
@@ -9,9 +11,27 @@ const categorySchema = new mongoose.Schema({
   },
   name: String,
   description: String,
+  // Categoria pai ("Alimentação" de "Alimentação > Mercado"); null na raiz
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Categoria que recebeu as contas quando esta foi removida ou juntada a outra
+  merged_into: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  // Categoria criada pelo sistema ("uncategorized"); o nome fica no idioma do usuário
+  system_key: {
+    type: String,
+    default: null,
+  },
   category_type: String,
   isActive: Boolean,
-  budget: Number,
+  budget: moneyField(),
+  cents: centsMarker(),
   color: {
     type: String,
     default: "#000000", // Cor padrão caso o usuário não escolha uma
@@ -28,7 +48,13 @@ const categorySchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
-});
+}, { toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } });
+
+categorySchema.plugin(softDelete);
+categorySchema.index({ user_id: 1, parent_id: 1 });
+
+// Níveis da árvore, contando a raiz
+categorySchema.statics.MAX_DEPTH = 3;
 
 const Category = mongoose.model("Category", categorySchema);
 
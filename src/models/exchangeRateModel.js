@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Cotação do dia: 1 unidade de `currency` vale `rate` unidades de `base`
+const exchangeRateSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    date: { type: Date, required: true },
+    currency: { type: String, required: true, uppercase: true, match: /^[A-Z]{3}$/ },
+    base: { type: String, required: true, uppercase: true, match: /^[A-Z]{3}$/ },
+    rate: { type: Number, required: true, min: 0 },
+  },
+  { timestamps: true }
+);
+
+exchangeRateSchema.index({ user_id: 1, currency: 1, base: 1, date: -1 }, { unique: true });
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+module.exports = ExchangeRate;
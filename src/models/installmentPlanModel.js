@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const softDelete = require("./plugins/softDelete");
+const { moneyField, centsMarker } = require("../utils/money");
+
+const Schema = mongoose.Schema;
+
+const installmentPlanSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    bill_name: { type: String, required: true },
+    bill_category: String,
+    category_id: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    bill_type: { type: String, default: "expense" },
+    payment_type: String,
+    account_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    total_value: moneyField({ required: true }),
+    cents: centsMarker(),
+    installments_count: { type: Number, required: true, min: 1 },
+    first_date: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: ["active", "paid_off", "cancelled"],
+      default: "active",
+    },
+    paid_off_at: Date,
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+installmentPlanSchema.plugin(softDelete);
+
+const InstallmentPlan = mongoose.model("InstallmentPlan", installmentPlanSchema);
+module.exports = InstallmentPlan;
@@ -0,0 +1,10 @@
+const mongoose = require("mongoose");
+
+// Registro das migrações de dados já aplicadas (ver src/migrations)
+const migrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  applied_at: { type: Date, default: Date.now },
+});
+
+const Migration = mongoose.model("Migration", migrationSchema);
+module.exports = Migration;
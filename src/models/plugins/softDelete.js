@@ -0,0 +1,28 @@
+// Exclusão lógica: documentos com deleted_at preenchido ficam na lixeira e fora das consultas normais.
+// Para enxergá-los, filtre explicitamente por deleted_at (no aggregate, no primeiro $match)
+// ou use a opção de query { withDeleted: true }.
+function softDelete(schema) {
+  schema.add({
+    deleted_at: { type: Date, default: null, index: true },
+  });
+
+  function excludeDeleted() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), "deleted_at")) return;
+
+    this.where({ deleted_at: null });
+  }
+
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "updateOne", "updateMany"].forEach((method) => {
+    schema.pre(method, excludeDeleted);
+  });
+
+  schema.pre("aggregate", function () {
+    const [firstStage] = this.pipeline();
+    if (firstStage && firstStage.$match && Object.prototype.hasOwnProperty.call(firstStage.$match, "deleted_at")) return;
+
+    this.pipeline().unshift({ $match: { deleted_at: null } });
+  });
+}
+
+module.exports = softDelete;
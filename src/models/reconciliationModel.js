@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { moneyField } = require("../utils/money");
+
+const Schema = mongoose.Schema;
+
+const moneyOptions = { _id: false, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } };
+
+// Conta existente proposta para uma linha do extrato, com a confiança (0 a 1) e o que pesou nela
+const candidateSchema = new Schema(
+  {
+    bill_id: { type: mongoose.Schema.Types.ObjectId, ref: "bills", required: true },
+    confidence: { type: Number, required: true },
+    date_diff_days: Number,
+    similarity: Number,
+  },
+  { _id: false }
+);
+
+// Linha importada do extrato e a decisão do usuário sobre ela
+const lineSchema = new Schema(
+  {
+    index: { type: Number, required: true },
+    bill_name: String,
+    bill_value: moneyField(),
+    bill_type: String,
+    buy_date: Date,
+    bill_category: String,
+    payment_type: String,
+    tags: { type: [String], default: undefined },
+    candidates: { type: [candidateSchema], default: [] },
+    // proposed: há sugestão; unmatched: nenhuma conta parecida; matched: sugestão aceita;
+    // created: virou uma conta nova; ignored: descartada
+    status: {
+      type: String,
+      enum: ["proposed", "unmatched", "matched", "created", "ignored"],
+      required: true,
+    },
+    bill_id: { type: mongoose.Schema.Types.ObjectId, ref: "bills" },
+  },
+  moneyOptions
+);
+
+// Sessão de conciliação de um extrato bancário importado com as contas lançadas à mão
+const reconciliationSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filename: String,
+    account_id: { type: mongoose.Schema.Types.ObjectId, ref: "Account" },
+    date_window_days: { type: Number, default: 3 },
+    status: { type: String, enum: ["open", "completed"], default: "open" },
+    completed_at: Date,
+    lines: { type: [lineSchema], default: [] },
+  },
+  { timestamps: true, toJSON: { getters: true, virtuals: false }, toObject: { getters: true, virtuals: false } }
+);
+
+reconciliationSchema.index({ user_id: 1, createdAt: -1 });
+
+const Reconciliation = mongoose.model("Reconciliation", reconciliationSchema);
+module.exports = Reconciliation;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// Filtro salvo ("visão"): a definição usa a linguagem do POST /filter (ver utils/filterDsl) e
+// pode ter datas relativas, resolvidas a cada execução
+const savedViewSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    icon: { type: String, default: "fa-filter" },
+    filter: { type: Schema.Types.Mixed, default: null },
+    sortBy: { type: String, default: "buy_date" },
+    orderBy: { type: String, enum: ["asc", "desc"], default: "desc" },
+  },
+  { timestamps: true, minimize: false }
+);
+
+savedViewSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+const SavedView = mongoose.model("SavedView", savedViewSchema);
+module.exports = SavedView;
@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+const Schema = mongoose.Schema;
+
+// As contas guardam o nome da tag em bills.tags; renomear aqui propaga para as contas
+const tagSchema = new Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: { type: String, required: true, trim: true },
+    color: { type: String, default: "#000000" },
+  },
+  { timestamps: true }
+);
+
+tagSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+const Tag = mongoose.model("Tag", tagSchema);
+module.exports = Tag;
@@ -5,7 +5,10 @@ const User = mongoose.model("User", {
   email: String,
   password: String,
   resettoken: { type: String, required: false },
-  resettokenExpiration: { type: Date, required: false }
+  resettokenExpiration: { type: Date, required: false },
+  base_currency: { type: String, default: "BRL" },
+  // Idioma das categorias padrão (ver utils/categoryTemplates)
+  locale: { type: String, default: "pt-BR" }
 });
 
 module.exports = User;
\ No newline at end of file
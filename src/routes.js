@@ -6,6 +6,45 @@ const authController = require("./controllers/authController");
 const userController = require("./controllers/userController");
 const categoryControler = require("./controllers/categoriesController");
 const importController = require("./controllers/importController");
+const installmentsController = require("./controllers/installmentsController");
+const trashController = require("./controllers/trashController");
+const historyController = require("./controllers/historyController");
+const attachmentsController = require("./controllers/attachmentsController");
+const tagsController = require("./controllers/tagsController");
+const currencyController = require("./controllers/currencyController");
+const savedViewsController = require("./controllers/savedViewsController");
+const accountsController = require("./controllers/accountsController");
+const transfersController = require("./controllers/transfersController");
+const reconciliationsController = require("./controllers/reconciliationsController");
+const { SORTABLE_FIELDS } = require("./utils/billFilters");
+const { ACCOUNT_TYPES } = require("./models/accountModel");
+const { LOCALES, PACKS } = require("./utils/categoryTemplates");
+
+const recurrenceRuleSchema = {
+  type: "object",
+  required: ["frequency"],
+  properties: {
+    frequency: { type: "string", enum: ["weekly", "monthly", "yearly"] },
+    interval: { type: "integer", minimum: 1 },
+    day_of_month: { type: "integer", minimum: 1, maximum: 31 },
+    end_date: { type: "string" },
+    count: { type: "integer", minimum: 1 },
+  },
+};
+
+// Divisão da conta entre categorias (a soma é validada no model)
+const splitsSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["category", "amount"],
+    properties: {
+      category: { type: "string" },
+      amount: { type: "number", minimum: 0 },
+      note: { type: "string" },
+    },
+  },
+};
 
 async function routes(fastify, options) {
   // Middleware para autenticação
@@ -36,17 +75,150 @@ async function routes(fastify, options) {
         querystring: {
           type: "object",
           properties: {
-            page: { type: "number" },
-            limit: { type: "number" },
-            sortBy: { type: "string" },
-            orderBy: { type: "string" },
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 20 },
+            sortBy: {
+              type: "string",
+              enum: SORTABLE_FIELDS,
+              default: "buy_date",
+            },
+            orderBy: { type: "string", enum: ["asc", "desc"], default: "desc" },
+            cursor: { type: "string" },
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            bill_category: { type: "string" },
+            category_id: { type: "string" },
+            bill_type: { type: "string" },
+            payment_type: { type: "string" },
+            account_id: { type: "string" },
+            reconciled: { type: "boolean" },
+            status: { type: "string" },
+            tags: { type: "string" },
+            tagsMode: { type: "string", enum: ["any", "all"], default: "any" },
           },
-          required: ["page", "limit", "sortBy", "orderBy"],
         },
       },
     },
     billsController.index
   );
+  fastify.get(
+    "/bills/search",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        querystring: {
+          type: "object",
+          required: ["q"],
+          properties: {
+            q: { type: "string", minLength: 1 },
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 20 },
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            bill_category: { type: "string" },
+            bill_type: { type: "string" },
+            payment_type: { type: "string" },
+            account_id: { type: "string" },
+            status: { type: "string" },
+            tags: { type: "string" },
+            tagsMode: { type: "string", enum: ["any", "all"], default: "any" },
+          },
+        },
+      },
+    },
+    billsController.search
+  );
+  fastify.get(
+    "/bills/due",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        querystring: {
+          type: "object",
+          properties: {
+            days: { type: "integer", minimum: 0, maximum: 365, default: 7 },
+          },
+        },
+      },
+    },
+    billsController.dueBills
+  );
+  fastify.post(
+    "/bills/pay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        body: {
+          type: "object",
+          required: ["ids"],
+          properties: {
+            ids: { type: "array", items: { type: "string" }, minItems: 1 },
+            paid_at: { type: "string" },
+          },
+        },
+      },
+    },
+    billsController.bulkMarkPaid
+  );
+  fastify.post(
+    "/bills/unpay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        body: {
+          type: "object",
+          required: ["ids"],
+          properties: {
+            ids: { type: "array", items: { type: "string" }, minItems: 1 },
+            paid_at: { type: "string" },
+          },
+        },
+      },
+    },
+    billsController.bulkMarkUnpaid
+  );
+  fastify.patch(
+    "/bills/:id/pay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            paid_at: { type: "string" },
+          },
+        },
+      },
+    },
+    billsController.markPaid
+  );
+  fastify.patch(
+    "/bills/:id/unpay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    billsController.markUnpaid
+  );
   fastify.get(
     "/bills/:id",
     {
@@ -63,6 +235,106 @@ async function routes(fastify, options) {
     },
     billsController.findOne
   );
+  fastify.get(
+    "/bills/:id/history",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    historyController.list
+  );
+  fastify.post(
+    "/bills/:id/history/:version/revert",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            version: { type: "integer", minimum: 1 },
+          },
+        },
+      },
+    },
+    historyController.revert
+  );
+  fastify.post(
+    "/bills/:id/attachments",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Attachments"],
+        consumes: ["multipart/form-data"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    attachmentsController.upload
+  );
+  fastify.get(
+    "/bills/:id/attachments",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Attachments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    attachmentsController.list
+  );
+  fastify.get(
+    "/bills/:id/attachments/:attachmentId",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Attachments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            attachmentId: { type: "string" },
+          },
+        },
+      },
+    },
+    attachmentsController.download
+  );
+  fastify.delete(
+    "/bills/:id/attachments/:attachmentId",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Attachments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            attachmentId: { type: "string" },
+          },
+        },
+      },
+    },
+    attachmentsController.remove
+  );
   fastify.post(
     "/bills",
     {
@@ -71,17 +343,30 @@ async function routes(fastify, options) {
         tags: ["Bills"],
         body: {
           type: "object",
-          required: ["bill_name", "bill_value", "bill_category", "bill_type", "buy_date"],
+          required: ["bill_name", "bill_value", "bill_type", "buy_date"],
+          // Categoria pelo nome ou pelo id
+          anyOf: [{ required: ["bill_category"] }, { required: ["category_id"] }],
           properties: {
             bill_name: { type: "string" },
             bill_value: { type: "number" },
             bill_category: { type: "string" },
+            category_id: { type: "string" },
             bill_type: { type: "string" },
             buy_date: { type: "string" },
             payment_type: { type: "string" },
+            account_id: { type: "string" },
             repeat: { type: "boolean" },
             installments: { type: "string" },
             fixed: { type: "boolean" },
+            recurrence: recurrenceRuleSchema,
+            due_date: { type: "string" },
+            status: { type: "string", enum: ["pending", "paid", "cancelled"] },
+            paid_at: { type: "string" },
+            splits: splitsSchema,
+            tags: { type: "array", items: { type: "string" } },
+            currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+            original_value: { type: "number" },
+            notes: { type: "string" },
           },
         },
       },
@@ -96,23 +381,73 @@ async function routes(fastify, options) {
         tags: ["Bills"],
         body: {
           type: "object",
-          required: ["bill_name", "bill_value", "bill_category", "bill_type", "buy_date"],
+          required: ["bill_name", "bill_value", "bill_type", "buy_date"],
+          // Categoria pelo nome ou pelo id
+          anyOf: [{ required: ["bill_category"] }, { required: ["category_id"] }],
           properties: {
             bill_name: { type: "string" },
             bill_value: { type: "number" },
             bill_category: { type: "string" },
+            category_id: { type: "string" },
             bill_type: { type: "string" },
             buy_date: { type: "string" },
             payment_type: { type: "string" },
+            account_id: { type: "string" },
             repeat: { type: "boolean" },
             installments: { type: "string" },
             fixed: { type: "boolean" },
+            recurrence: recurrenceRuleSchema,
+            due_date: { type: "string" },
+            status: { type: "string", enum: ["pending", "paid", "cancelled"] },
+            paid_at: { type: "string" },
+            splits: splitsSchema,
+            tags: { type: "array", items: { type: "string" } },
+            currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+            original_value: { type: "number" },
+            notes: { type: "string" },
           },
         },
       },
     },
     billsController.updateBills
   );
+  fastify.put(
+    "/bills/:id/series",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          required: ["scope"],
+          properties: {
+            scope: { type: "string", enum: ["this", "future", "all"] },
+            bill_name: { type: "string" },
+            bill_value: { type: "number" },
+            bill_category: { type: "string" },
+            category_id: { type: "string" },
+            bill_type: { type: "string" },
+            buy_date: { type: "string" },
+            payment_type: { type: "string" },
+            account_id: { type: "string" },
+            fixed: { type: "boolean" },
+            recurrence: recurrenceRuleSchema,
+            splits: splitsSchema,
+            tags: { type: "array", items: { type: "string" } },
+            currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+            original_value: { type: "number" },
+          },
+        },
+      },
+    },
+    billsController.updateSeries
+  );
   fastify.delete(
     "/bills/:id",
     {
@@ -138,7 +473,7 @@ async function routes(fastify, options) {
         querystring: {
           type: "object",
           properties: {
-            ids: { type: "array", items: { type: "string" } },
+            ids: { type: "array", items: { type: "string" }, minItems: 1 },
           },
           required: ["ids"],
         },
@@ -146,6 +481,48 @@ async function routes(fastify, options) {
     },
     billsController.deleteAllBills
   );
+  fastify.post(
+    "/bills/bulk",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Bills"],
+        body: {
+          type: "object",
+          required: ["action"],
+          properties: {
+            action: { type: "string", enum: ["delete", "set_category", "set_payment_type", "set_flags", "shift_dates"] },
+            ids: { type: "array", items: { type: "string" }, minItems: 1 },
+            filter: {
+              type: "object",
+              properties: {
+                startDate: { type: "string", format: "date" },
+                endDate: { type: "string", format: "date" },
+                bill_category: { type: "string" },
+                bill_type: { type: "string" },
+                payment_type: { type: "string" },
+                status: { type: "string" },
+                tags: { type: "string" },
+                tagsMode: { type: "string", enum: ["any", "all"] },
+              },
+            },
+            payload: {
+              type: "object",
+              properties: {
+                bill_category: { type: "string" },
+                payment_type: { type: "string" },
+                fixed: { type: "boolean" },
+                repeat: { type: "boolean" },
+                days: { type: "integer" },
+                months: { type: "integer" },
+              },
+            },
+          },
+        },
+      },
+    },
+    billsController.bulkBills
+  );
   fastify.post(
     "/updateMonthlyBills",
     {
@@ -156,8 +533,8 @@ async function routes(fastify, options) {
           type: "object",
           required: ["month", "year"],
           properties: {
-            month: { type: "number" },
-            year: { type: "number" },
+            month: { type: "integer", minimum: 1, maximum: 12 },
+            year: { type: "integer", minimum: 1970 },
           },
         },
       },
@@ -165,49 +542,740 @@ async function routes(fastify, options) {
     billsController.createMonthlyBills
   );
 
-  // Bills filters
+  // Installment plans
   fastify.post(
-    "/filter",
+    "/installments",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Filters"],
+        tags: ["Installments"],
         body: {
           type: "object",
-          required: ["startDate", "endDate", "category_id", "bill_type"],
+          required: ["bill_name", "total_value", "installments_count", "first_date"],
           properties: {
-            startDate: { type: "string", format: "date" },
-            endDate: { type: "string", format: "date" },
-            category_id: { type: "string" },
+            bill_name: { type: "string" },
+            bill_category: { type: "string" },
             bill_type: { type: "string" },
+            payment_type: { type: "string" },
+            account_id: { type: "string" },
+            total_value: { type: "number", exclusiveMinimum: 0 },
+            installments_count: { type: "integer", minimum: 1, maximum: 120 },
+            first_date: { type: "string" },
           },
         },
       },
     },
-    billsController.filterBills
+    installmentsController.createPlan
   );
   fastify.get(
-    "/filter",
+    "/installments/:id",
     {
+      preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Filters"],
-        querystring: {
+        tags: ["Installments"],
+        params: {
           type: "object",
           properties: {
-            startDate: { type: "string", format: "date" },
-            endDate: { type: "string", format: "date" },
-            category_id: { type: "string" },
-            bill_type: { type: "string" },
+            id: { type: "string" },
           },
         },
       },
     },
-    filterController.getData
+    installmentsController.findOne
   );
-
-  // Auth
-  fastify.post(
-    "/auth/register",
+  fastify.put(
+    "/installments/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Installments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            bill_name: { type: "string" },
+            bill_category: { type: "string" },
+            bill_type: { type: "string" },
+            payment_type: { type: "string" },
+            remaining_value: { type: "number", minimum: 0 },
+          },
+        },
+      },
+    },
+    installmentsController.updatePlan
+  );
+  fastify.post(
+    "/installments/:id/payoff",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Installments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            paid_date: { type: "string" },
+            payoff_value: { type: "number", minimum: 0 },
+          },
+        },
+      },
+    },
+    installmentsController.payOff
+  );
+  fastify.delete(
+    "/installments/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Installments"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    installmentsController.deletePlan
+  );
+
+  // Bills filters
+  fastify.post(
+    "/filter",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Filters"],
+        description:
+          'Filtro estruturado: "where" aceita grupos {"and": [...]} / {"or": [...]} e regras {"field", "op", "value"} ' +
+          "com campos e operadores permitidos (ver src/utils/filterDsl.js). Devolve as contas paginadas e os totais.",
+        body: {
+          type: "object",
+          properties: {
+            where: { type: "object", additionalProperties: true },
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 20 },
+            sortBy: { type: "string", enum: SORTABLE_FIELDS, default: "buy_date" },
+            orderBy: { type: "string", enum: ["asc", "desc"], default: "desc" },
+            // Campos antigos, convertidos em regras do filtro
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            category_id: { type: "string" },
+            bill_type: { type: "string" },
+          },
+        },
+      },
+    },
+    billsController.filterBills
+  );
+  fastify.get(
+    "/analytics",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Filters"],
+        querystring: {
+          type: "object",
+          required: ["groupBy"],
+          properties: {
+            // Uma ou mais dimensões separadas por vírgula: category, type, payment_type, month, week, tag
+            groupBy: { type: "string" },
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            timezone: { type: "string" },
+            bill_category: { type: "string" },
+            bill_type: { type: "string" },
+            payment_type: { type: "string" },
+            account_id: { type: "string" },
+            status: { type: "string" },
+            tags: { type: "string" },
+            tagsMode: { type: "string", enum: ["any", "all"], default: "any" },
+          },
+        },
+      },
+    },
+    filterController.getAnalytics
+  );
+
+  // Saved views
+  fastify.get(
+    "/views",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+      },
+    },
+    savedViewsController.getViews
+  );
+  fastify.post(
+    "/views",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+        body: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            icon: { type: "string" },
+            // Mesma linguagem do "where" do POST /filter; aceita períodos relativos ("within")
+            filter: { type: "object", additionalProperties: true, nullable: true },
+            sortBy: { type: "string", enum: SORTABLE_FIELDS },
+            orderBy: { type: "string", enum: ["asc", "desc"] },
+          },
+        },
+      },
+    },
+    savedViewsController.createView
+  );
+  fastify.get(
+    "/views/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    savedViewsController.findOne
+  );
+  fastify.put(
+    "/views/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            icon: { type: "string" },
+            // Mesma linguagem do "where" do POST /filter; aceita períodos relativos ("within")
+            filter: { type: "object", additionalProperties: true, nullable: true },
+            sortBy: { type: "string", enum: SORTABLE_FIELDS },
+            orderBy: { type: "string", enum: ["asc", "desc"] },
+          },
+        },
+      },
+    },
+    savedViewsController.updateView
+  );
+  fastify.delete(
+    "/views/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    savedViewsController.deleteView
+  );
+  fastify.get(
+    "/views/:id/run",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Saved views"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        querystring: {
+          type: "object",
+          properties: {
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 20 },
+          },
+        },
+      },
+    },
+    savedViewsController.runView
+  );
+
+  // Accounts
+  fastify.get(
+    "/accounts",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        querystring: {
+          type: "object",
+          properties: {
+            includeArchived: { type: "boolean", default: false },
+          },
+        },
+      },
+    },
+    accountsController.getAccounts
+  );
+  fastify.post(
+    "/accounts",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        body: {
+          type: "object",
+          required: ["name", "type"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            type: { type: "string", enum: ACCOUNT_TYPES },
+            opening_balance: { type: "number" },
+            opening_date: { type: "string", format: "date" },
+            // Formas de pagamento dos lançamentos que caem nesta conta quando account_id não é informado
+            payment_types: { type: "array", items: { type: "string" } },
+            // Cartão de crédito: dias de fechamento e vencimento da fatura
+            closing_day: { type: "integer", minimum: 1, maximum: 31 },
+            due_day: { type: "integer", minimum: 1, maximum: 31 },
+            color: { type: "string" },
+            icon: { type: "string" },
+            archived: { type: "boolean" },
+          },
+        },
+      },
+    },
+    accountsController.createAccount
+  );
+  fastify.get(
+    "/accounts/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    accountsController.findOne
+  );
+  fastify.put(
+    "/accounts/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            type: { type: "string", enum: ACCOUNT_TYPES },
+            opening_balance: { type: "number" },
+            opening_date: { type: "string", format: "date" },
+            // Formas de pagamento dos lançamentos que caem nesta conta quando account_id não é informado
+            payment_types: { type: "array", items: { type: "string" } },
+            // Cartão de crédito: dias de fechamento e vencimento da fatura
+            closing_day: { type: "integer", minimum: 1, maximum: 31 },
+            due_day: { type: "integer", minimum: 1, maximum: 31 },
+            color: { type: "string" },
+            icon: { type: "string" },
+            archived: { type: "boolean" },
+          },
+        },
+      },
+    },
+    accountsController.updateAccount
+  );
+  fastify.delete(
+    "/accounts/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    accountsController.deleteAccount
+  );
+  fastify.get(
+    "/accounts/:id/balance",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        querystring: {
+          type: "object",
+          properties: {
+            date: { type: "string", format: "date" },
+          },
+        },
+      },
+    },
+    accountsController.getBalance
+  );
+  fastify.get(
+    "/accounts/:id/statement",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        querystring: {
+          type: "object",
+          properties: {
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 50 },
+          },
+        },
+      },
+    },
+    accountsController.getStatement
+  );
+
+  // Credit card statements (faturas)
+  fastify.get(
+    "/accounts/:id/statements",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    accountsController.getStatements
+  );
+  fastify.get(
+    "/accounts/:id/statements/open",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    accountsController.getOpenStatement
+  );
+  fastify.get(
+    "/accounts/:id/statements/:month",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            month: { type: "string", pattern: "^\\d{4}-\\d{2}$" },
+          },
+        },
+      },
+    },
+    accountsController.findStatement
+  );
+  fastify.post(
+    "/accounts/:id/statements/:month/pay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            month: { type: "string", pattern: "^\\d{4}-\\d{2}$" },
+          },
+        },
+        body: {
+          type: "object",
+          required: ["from_account_id"],
+          properties: {
+            from_account_id: { type: "string" },
+            date: { type: "string", format: "date" },
+            // Padrão: o total da fatura; valores menores são recusados
+            amount: { type: "number", exclusiveMinimum: 0 },
+          },
+        },
+      },
+    },
+    accountsController.payStatement
+  );
+  fastify.delete(
+    "/accounts/:id/statements/:month/pay",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Accounts"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            month: { type: "string", pattern: "^\\d{4}-\\d{2}$" },
+          },
+        },
+      },
+    },
+    accountsController.unpayStatement
+  );
+
+  // Transfers
+  fastify.get(
+    "/transfers",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Transfers"],
+        querystring: {
+          type: "object",
+          properties: {
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+            account_id: { type: "string" },
+            page: { type: "number", minimum: 1, default: 1 },
+            limit: { type: "number", minimum: 1, maximum: 100, default: 20 },
+          },
+        },
+      },
+    },
+    transfersController.getTransfers
+  );
+  fastify.post(
+    "/transfers",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Transfers"],
+        body: {
+          type: "object",
+          required: ["from_account_id", "to_account_id", "amount"],
+          properties: {
+            from_account_id: { type: "string" },
+            to_account_id: { type: "string" },
+            amount: { type: "number", exclusiveMinimum: 0 },
+            date: { type: "string", format: "date" },
+            description: { type: "string" },
+            notes: { type: "string" },
+            tags: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+    transfersController.createTransfer
+  );
+  fastify.get(
+    "/transfers/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Transfers"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    transfersController.findOne
+  );
+  fastify.put(
+    "/transfers/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Transfers"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            from_account_id: { type: "string" },
+            to_account_id: { type: "string" },
+            amount: { type: "number", exclusiveMinimum: 0 },
+            date: { type: "string", format: "date" },
+            description: { type: "string" },
+            notes: { type: "string" },
+            tags: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+    transfersController.updateTransfer
+  );
+  fastify.delete(
+    "/transfers/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Transfers"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    transfersController.deleteTransfer
+  );
+
+  // Reconciliation (conciliação de extratos importados)
+  fastify.get(
+    "/reconciliations",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Reconciliation"],
+      },
+    },
+    reconciliationsController.getReconciliations
+  );
+  fastify.get(
+    "/reconciliations/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Reconciliation"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    reconciliationsController.findOne
+  );
+  fastify.post(
+    "/reconciliations/:id/lines/:index",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Reconciliation"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            index: { type: "integer", minimum: 0 },
+          },
+        },
+        body: {
+          type: "object",
+          required: ["action"],
+          properties: {
+            action: { type: "string", enum: ["accept", "reject", "create", "ignore"] },
+            // accept/reject: conta escolhida (padrão: a melhor sugestão)
+            bill_id: { type: "string" },
+          },
+        },
+      },
+    },
+    reconciliationsController.decideLine
+  );
+  fastify.post(
+    "/reconciliations/:id/accept",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Reconciliation"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          properties: {
+            minConfidence: { type: "number", minimum: 0, maximum: 1, default: 0.9 },
+          },
+        },
+      },
+    },
+    reconciliationsController.acceptAll
+  );
+  fastify.post(
+    "/reconciliations/:id/complete",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Reconciliation"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    reconciliationsController.complete
+  );
+
+  // Auth
+  fastify.post(
+    "/auth/register",
     {
       schema: {
         tags: ["Auth"],
@@ -219,357 +1287,737 @@ async function routes(fastify, options) {
             email: { type: "string", format: "email" },
             password: { type: "string" },
             confirmPassword: { type: "string" },
+            // Idioma das categorias criadas no cadastro; sem ele, vale o Accept-Language
+            locale: { type: "string", enum: LOCALES },
+          },
+        },
+        response: {
+          442: {
+            type: "object",
+            properties: {
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+          201: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+          500: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    authController.registerUser
+  );
+  fastify.post(
+    "/auth/login",
+    {
+      schema: {
+        tags: ["Auth"],
+        body: {
+          type: "object",
+          required: ["email", "password"],
+          properties: {
+            email: { type: "string", format: "email" },
+            password: { type: "string" },
+          },
+        },
+        response: {
+          422: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+          200: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+              Token: { type: "string" },
+            },
+          },
+          500: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    authController.loginUser
+  );
+  fastify.post(
+    "/resetPassword",
+    {
+      schema: {
+        tags: ["Auth"],
+        body: {
+          type: "object",
+          required: ["email"],
+          properties: {
+            email: { type: "string", format: "email" },
+          },
+        },
+        response: {
+          422: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+          200: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+          400: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    authController.resetPassword.bind(authController)
+  );
+  fastify.post(
+    "/resetPasswordConfirm",
+    {
+      schema: {
+        tags: ["Auth"],
+        body: {
+          type: "object",
+          required: ["email", "code", "password"],
+          properties: {
+            token: { type: "string" },
+            password: { type: "string" },
+            confirmPassword: { type: "string" },
+          },
+        },
+        response: {
+          422: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+          400: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              field: { type: "string" },
+              message: { type: "string" },
+            },
+          },
+          200: {
+            type: "object",
+            properties: {
+              success: { type: "boolean" },
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    authController.resetPasswordConfirm
+  );
+
+  // User
+  fastify.get(
+    "/user",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["User"],
+        response: {
+          201: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              name: { type: "string" },
+              email: { type: "string", format: "email" },
+              base_currency: { type: "string" },
+              locale: { type: "string" },
+            },
+          },
+          422: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+    userController.getUser
+  );
+  fastify.put(
+    "/user",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["User"],
+        body: {
+          type: "object",
+          required: ["name", "email"],
+          properties: {
+            name: { type: "string" },
+            email: { type: "string", format: "email" },
+            locale: { type: "string", enum: LOCALES },
+          },
+        },
+      },
+    },
+    userController.updateUserInfo
+  );
+  fastify.put(
+    "/user/currency",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["User"],
+        body: {
+          type: "object",
+          required: ["base_currency"],
+          properties: {
+            base_currency: { type: "string", pattern: "^[A-Za-z]{3}$" },
+          },
+        },
+      },
+    },
+    currencyController.changeBaseCurrency
+  );
+  fastify.delete(
+    "/user",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["User"],
+        response: {
+          200: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+            },
+          },
+          401: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+            },
+          },
+          500: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
+            },
           },
         },
+      },
+    },
+    userController.deleteUser
+  );
+
+  // Categories
+  fastify.get(
+    "/category",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
         response: {
-          442: {
+          200: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                user_id: { type: "string" },
+              },
+            },
+          },
+          401: {
             type: "object",
             properties: {
-              field: { type: "string" },
               message: { type: "string" },
             },
           },
-          201: {
+          500: {
             type: "object",
             properties: {
-              success: { type: "boolean" },
               message: { type: "string" },
             },
           },
-          500: {
+          422: {
             type: "object",
             properties: {
-              success: { type: "boolean" },
               message: { type: "string" },
             },
           },
         },
       },
     },
-    authController.registerUser
+    categoryControler.getCategories
   );
   fastify.post(
-    "/auth/login",
+    "/category",
     {
+      preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Auth"],
+        tags: ["Categories"],
         body: {
           type: "object",
-          required: ["email", "password"],
+          required: ["name", "description", "color", "icon", "category_type", "isActive", "budget"],
           properties: {
-            email: { type: "string", format: "email" },
-            password: { type: "string" },
+            name: { type: "string" },
+            description: { type: "string" },
+            color: { type: "string" },
+            icon: { type: "string" },
+            category_type: { type: "string" },
+            isActive: { type: "boolean" },
+            budget: { type: "string" },
+            parent_id: { type: "string" },
           },
         },
         response: {
-          422: {
+          201: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              name: { type: "string" },
+              parent_id: { type: "string", nullable: true },
+              description: { type: "string" },
+              color: { type: "string" },
+              icon: { type: "string" },
+              category_type: { type: "string" },
+              isActive: { type: "boolean" },
+              budget: { type: "number" },
+            },
+          },
+          500: {
             type: "object",
             properties: {
-              success: { type: "boolean" },
-              field: { type: "string" },
               message: { type: "string" },
             },
           },
+        },
+      },
+    },
+    categoryControler.createCategory
+  );
+  fastify.get(
+    "/category/templates",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        querystring: {
+          type: "object",
+          properties: {
+            locale: { type: "string" },
+          },
+        },
+      },
+    },
+    categoryControler.getTemplates
+  );
+  fastify.post(
+    "/category/templates/:pack/apply",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        params: {
+          type: "object",
+          properties: {
+            pack: { type: "string", enum: Object.keys(PACKS) },
+          },
+        },
+        body: {
+          type: "object",
+          nullable: true,
+          properties: {
+            locale: { type: "string" },
+          },
+        },
+      },
+    },
+    categoryControler.applyTemplate
+  );
+  fastify.get(
+    "/category/tree",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        querystring: {
+          type: "object",
+          properties: {
+            locale: { type: "string" },
+          },
+        },
+      },
+    },
+    categoryControler.getTree
+  );
+  fastify.get(
+    "/category/report",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        querystring: {
+          type: "object",
+          properties: {
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+          },
+        },
+      },
+    },
+    categoryControler.getReport
+  );
+  fastify.put(
+    "/category/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          minProperties: 1,
+          properties: {
+            name: { type: "string", minLength: 1 },
+            description: { type: "string" },
+            color: { type: "string", pattern: "^#([0-9A-Fa-f]{3}|[0-9A-Fa-f]{6})$" },
+            icon: { type: "string" },
+            category_type: { type: "string" },
+            isActive: { type: "boolean" },
+            budget: { type: "number", minimum: 0, nullable: true },
+            // null move a categoria para a raiz
+            parent_id: { type: "string", nullable: true },
+          },
+        },
+      },
+    },
+    categoryControler.updateCategory
+  );
+  fastify.delete(
+    "/category/:id",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        // Categoria em uso exige um destino para as contas (sem ele a resposta é 409 com o uso)
+        querystring: {
+          type: "object",
+          properties: {
+            reassign_to: { type: "string" },
+            uncategorized: { type: "boolean" },
+          },
+        },
+        response: {
           200: {
             type: "object",
             properties: {
-              success: { type: "boolean" },
               message: { type: "string" },
-              Token: { type: "string" },
+              usage: { type: "object", additionalProperties: true },
+              target: { type: "object", nullable: true, additionalProperties: true },
+              billsUpdated: { type: "integer" },
+            },
+          },
+          401: {
+            type: "object",
+            properties: {
+              message: { type: "string" },
             },
           },
           500: {
             type: "object",
             properties: {
-              success: { type: "boolean" },
               message: { type: "string" },
             },
           },
         },
       },
     },
-    authController.loginUser
+    categoryControler.deleteCategory
+  );
+  fastify.get(
+    "/category/:id/usage",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+      },
+    },
+    categoryControler.getUsage
+  );
+  fastify.post(
+    "/category/:id/merge",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Categories"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+          },
+        },
+        body: {
+          type: "object",
+          required: ["into"],
+          properties: {
+            into: { type: "string" },
+          },
+        },
+      },
+    },
+    categoryControler.mergeCategory
+  );
+
+  // Tags
+  fastify.get(
+    "/tags",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Tags"],
+      },
+    },
+    tagsController.getTags
+  );
+  fastify.get(
+    "/tags/summary",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Tags"],
+        querystring: {
+          type: "object",
+          properties: {
+            startDate: { type: "string", format: "date" },
+            endDate: { type: "string", format: "date" },
+          },
+        },
+      },
+    },
+    tagsController.getSummary
+  );
+  fastify.post(
+    "/tags",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Tags"],
+        body: {
+          type: "object",
+          required: ["name"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            color: { type: "string" },
+          },
+        },
+      },
+    },
+    tagsController.createTag
   );
-  fastify.post(
-    "/resetPassword",
+  fastify.put(
+    "/tags/:id",
     {
+      preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Auth"],
-        body: {
+        tags: ["Tags"],
+        params: {
           type: "object",
-          required: ["email"],
           properties: {
-            email: { type: "string", format: "email" },
+            id: { type: "string" },
           },
         },
-        response: {
-          422: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              message: { type: "string" },
-            },
-          },
-          200: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              message: { type: "string" },
-            },
-          },
-          400: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              message: { type: "string" },
-            },
+        body: {
+          type: "object",
+          properties: {
+            name: { type: "string", minLength: 1 },
+            color: { type: "string" },
           },
         },
       },
     },
-    authController.resetPassword.bind(authController)
+    tagsController.updateTag
   );
-  fastify.post(
-    "/resetPasswordConfirm",
+  fastify.delete(
+    "/tags/:id",
     {
+      preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Auth"],
-        body: {
+        tags: ["Tags"],
+        params: {
           type: "object",
-          required: ["email", "code", "password"],
           properties: {
-            token: { type: "string" },
-            password: { type: "string" },
-            confirmPassword: { type: "string" },
-          },
-        },
-        response: {
-          422: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              field: { type: "string" },
-              message: { type: "string" },
-            },
-          },
-          400: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              field: { type: "string" },
-              message: { type: "string" },
-            },
-          },
-          200: {
-            type: "object",
-            properties: {
-              success: { type: "boolean" },
-              message: { type: "string" },
-            },
+            id: { type: "string" },
           },
         },
       },
     },
-    authController.resetPasswordConfirm
+    tagsController.deleteTag
   );
 
-  // User
+  // Exchange rates
   fastify.get(
-    "/user",
+    "/exchange-rates",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["User"],
-        response: {
-          201: {
-            type: "object",
-            properties: {
-              id: { type: "string" },
-              name: { type: "string" },
-              email: { type: "string", format: "email" },
-            },
-          },
-          422: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
+        tags: ["Exchange rates"],
+        querystring: {
+          type: "object",
+          properties: {
+            currency: { type: "string" },
+            base: { type: "string" },
+            startDate: { type: "string" },
+            endDate: { type: "string" },
           },
         },
       },
     },
-    userController.getUser
+    currencyController.listRates
   );
   fastify.put(
-    "/user",
+    "/exchange-rates",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["User"],
+        tags: ["Exchange rates"],
         body: {
           type: "object",
-          required: ["name", "email"],
+          required: ["rates"],
           properties: {
-            name: { type: "string" },
-            email: { type: "string", format: "email" },
+            rates: {
+              type: "array",
+              maxItems: 1000,
+              items: {
+                type: "object",
+                required: ["date", "currency", "base", "rate"],
+                properties: {
+                  date: { type: "string" },
+                  currency: { type: "string" },
+                  base: { type: "string" },
+                  rate: { type: "number", exclusiveMinimum: 0 },
+                },
+              },
+            },
           },
         },
       },
     },
-    userController.updateUserInfo
+    currencyController.upsertRates
+  );
+  fastify.post(
+    "/exchange-rates/upload",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Exchange rates"],
+        consumes: ["multipart/form-data"],
+      },
+    },
+    currencyController.uploadRates
   );
   fastify.delete(
-    "/user",
+    "/exchange-rates/:id",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["User"],
-        response: {
-          200: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          401: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          500: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
+        tags: ["Exchange rates"],
+        params: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
           },
         },
       },
     },
-    userController.deleteUser
+    currencyController.deleteRate
   );
 
-  // Categories
+  // Trash
   fastify.get(
-    "/category",
+    "/trash",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Categories"],
-        response: {
-          200: {
-            type: "array",
-            items: {
-              type: "object",
-              properties: {
-                id: { type: "string" },
-                name: { type: "string" },
-                user_id: { type: "string" },
-              },
-            },
-          },
-          401: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          500: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          422: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-        },
+        tags: ["Trash"],
       },
     },
-    categoryControler.getCategories
+    trashController.list
   );
   fastify.post(
-    "/category",
+    "/trash/restore",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Categories"],
+        tags: ["Trash"],
         body: {
           type: "object",
-          required: ["name", "description", "color", "icon", "category_type", "isActive", "budget"],
           properties: {
-            name: { type: "string" },
-            description: { type: "string" },
-            color: { type: "string" },
-            icon: { type: "string" },
-            category_type: { type: "string" },
-            isActive: { type: "boolean" },
-            budget: { type: "string" },
-          },
-        },
-        response: {
-          201: {
-            type: "object",
-            properties: {
-              id: { type: "string" },
-              name: { type: "string" },
-              description: { type: "string" },
-              color: { type: "string" },
-              icon: { type: "string" },
-              category_type: { type: "string" },
-              isActive: { type: "boolean" },
-              budget: { type: "number" },
-            },
-          },
-          500: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
+            bills: { type: "array", items: { type: "string" } },
+            categories: { type: "array", items: { type: "string" } },
           },
         },
       },
     },
-    categoryControler.createCategory
+    trashController.restore
   );
   fastify.delete(
-    "/category/:id",
+    "/trash",
     {
       preHandler: fastify.verifyToken,
       schema: {
-        tags: ["Categories"],
-        params: {
-          type: "object",
-          properties: {
-            id: { type: "string" },
-          },
-        },
-        response: {
-          200: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          401: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-          500: {
-            type: "object",
-            properties: {
-              message: { type: "string" },
-            },
-          },
-        },
+        tags: ["Trash"],
       },
     },
-    categoryControler.deleteCategory
+    trashController.empty
   );
 
   // Import routes
@@ -672,6 +2120,34 @@ async function routes(fastify, options) {
     importController.confirmImport
   );
 
+  fastify.post(
+    "/import/reconcile/:uploadId",
+    {
+      preHandler: fastify.verifyToken,
+      schema: {
+        tags: ["Import", "Reconciliation"],
+        params: {
+          type: "object",
+          properties: {
+            uploadId: { type: "string" }
+          },
+          required: ["uploadId"]
+        },
+        body: {
+          type: "object",
+          properties: {
+            mapping: { type: "object", additionalProperties: true },
+            categoryMapping: { type: "object", additionalProperties: true },
+            // Conta do extrato: só contas dela (ou sem conta) são sugeridas
+            account_id: { type: "string" },
+            date_window_days: { type: "integer", minimum: 0, maximum: 15, default: 3 }
+          }
+        }
+      }
+    },
+    importController.reconcileImport
+  );
+
   // Streaming progress routes
   fastify.get(
     "/import/progress/:uploadId/stream",
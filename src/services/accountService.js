@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+
+const Account = require("../models/accountModel");
+const billsModel = require("../models/billsModel");
+const { parseDate } = require("../utils/billFilters");
+const { signedAmount } = require("../utils/billAggregations");
+const { parsePagination, buildPage } = require("../utils/pagination");
+const { toCents, fromCents } = require("../utils/money");
+const { normalizeText } = require("../utils/search");
+const reportService = require("./reportService");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "type",
+  "opening_balance",
+  "opening_date",
+  "payment_types",
+  "closing_day",
+  "due_day",
+  "color",
+  "icon",
+  "archived",
+];
+
+class AccountError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AccountError";
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizePaymentTypes = (paymentTypes = []) => [...new Set(paymentTypes.map(normalizeText).filter(Boolean))];
+
+// Movimentos que entram no saldo: contas não canceladas da conta, a partir da data do saldo inicial
+const movementsMatch = (userId, account, range) => ({
+  user_id: new mongoose.Types.ObjectId(userId),
+  account_id: account._id,
+  status: { $ne: "cancelled" },
+  buy_date: { $gte: account.opening_date, ...range },
+});
+
+class AccountService {
+  async list(userId, { includeArchived = false } = {}) {
+    const accounts = await Account.find({ user_id: userId, ...(includeArchived ? {} : { archived: false }) }).sort({ name: 1 });
+    const balances = await this.balances(userId, accounts);
+
+    return accounts.map((account) => ({ ...account.toJSON(), balance: balances.get(String(account._id)) }));
+  }
+
+  async get(userId, accountId) {
+    const account = mongoose.Types.ObjectId.isValid(accountId) ? await Account.findOne({ _id: accountId, user_id: userId }) : null;
+    if (!account) throw new AccountError("Account not found", 404);
+    return account;
+  }
+
+  async save(userId, account, changes) {
+    EDITABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => {
+      account[field] = field === "payment_types" ? normalizePaymentTypes(changes[field]) : changes[field];
+    });
+
+    if (await Account.exists({ user_id: userId, name: account.name, _id: { $ne: account._id } })) {
+      throw new AccountError("Já existe uma conta com esse nome.", 409);
+    }
+
+    // Cada forma de pagamento aponta para uma única conta (paymentTypeMap)
+    const paymentTypes = account.payment_types || [];
+    const owner = paymentTypes.length
+      ? await Account.findOne({ user_id: userId, _id: { $ne: account._id }, payment_types: { $in: paymentTypes } })
+      : null;
+    if (owner) {
+      const taken = paymentTypes.filter((type) => owner.payment_types.includes(type));
+      throw new AccountError(`Forma de pagamento já usada pela conta "${owner.name}": ${taken.join(", ")}`, 409);
+    }
+
+    return account.save();
+  }
+
+  async create(userId, data) {
+    return this.save(userId, new Account({ user_id: userId }), data);
+  }
+
+  async update(userId, accountId, changes) {
+    return this.save(userId, await this.get(userId, accountId), changes);
+  }
+
+  // Contas com lançamentos (inclusive na lixeira) não são excluídas; arquive-as
+  async remove(userId, accountId) {
+    const account = await this.get(userId, accountId);
+
+    if (await billsModel.exists({ user_id: userId, account_id: account._id }).setOptions({ withDeleted: true })) {
+      throw new AccountError("A conta possui lançamentos; arquive-a em vez de excluir.", 409);
+    }
+
+    await account.deleteOne();
+    return account;
+  }
+
+  // Saldo (em reais) de cada conta ao fim do dia `date`
+  async balances(userId, accounts, date = new Date()) {
+    const result = new Map(accounts.map((account) => [String(account._id), account.opening_balance || 0]));
+    if (!accounts.length) return result;
+
+    const until = parseDate(date, true) || date;
+    const rows = await billsModel.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(userId),
+          account_id: { $in: accounts.map((account) => account._id) },
+          status: { $ne: "cancelled" },
+          buy_date: { $lte: until },
+        },
+      },
+      {
+        $addFields: {
+          opening_date: {
+            $switch: {
+              branches: accounts.map((account) => ({ case: { $eq: ["$account_id", account._id] }, then: account.opening_date })),
+              default: null,
+            },
+          },
+        },
+      },
+      { $match: { $expr: { $gte: ["$buy_date", "$opening_date"] } } },
+      { $group: { _id: "$account_id", total: { $sum: signedAmount() } } },
+    ]);
+
+    rows.forEach((row) => {
+      const key = String(row._id);
+      result.set(key, fromCents(toCents(result.get(key)) + row.total));
+    });
+
+    // Antes da abertura a conta não tinha saldo
+    accounts.filter((account) => account.opening_date > until).forEach((account) => result.set(String(account._id), 0));
+
+    return result;
+  }
+
+  async balance(userId, accountId, date) {
+    const account = await this.get(userId, accountId);
+    const day = date ? parseDate(date, true) : new Date();
+    if (!day) throw new AccountError("Data inválida (use YYYY-MM-DD)");
+
+    const balances = await this.balances(userId, [account], day);
+    return { account, date: day, balance: balances.get(String(account._id)) };
+  }
+
+  // Extrato do período com o saldo após cada lançamento (paginado, em ordem cronológica)
+  async statement(userId, accountId, query = {}) {
+    const account = await this.get(userId, accountId);
+    const { start, end } = reportService.resolvePeriod(query);
+    const { page, limit, skip } = parsePagination(query);
+
+    const openingBalance = (await this.balances(userId, [account], new Date(start.getTime() - 1))).get(String(account._id));
+
+    const [result] = await billsModel.aggregate([
+      { $match: movementsMatch(userId, account, { $gte: start > account.opening_date ? start : account.opening_date, $lte: end }) },
+      { $addFields: { amount: signedAmount() } },
+      {
+        $setWindowFields: {
+          sortBy: { buy_date: 1, _id: 1 },
+          output: { running: { $sum: "$amount", window: { documents: ["unbounded", "current"] } } },
+        },
+      },
+      {
+        $facet: {
+          data: [{ $sort: { buy_date: 1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+          totals: [{ $group: { _id: null, count: { $sum: 1 }, total: { $sum: "$amount" } } }],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] || { count: 0, total: 0 };
+    const openingCents = toCents(openingBalance);
+    const bills = await billsModel.populate(
+      result.data.map(({ amount, running, ...doc }) => billsModel.hydrate(doc)),
+      billsModel.CATEGORY_POPULATE
+    );
+    const data = result.data.map(({ amount, running }, index) => ({
+      ...bills[index].toJSON(),
+      amount: fromCents(amount),
+      balance: fromCents(openingCents + running),
+    }));
+
+    return {
+      account,
+      startDate: start,
+      endDate: end,
+      openingBalance,
+      closingBalance: fromCents(openingCents + totals.total),
+      ...buildPage({ data, total: totals.count, page, limit, useCursor: false }),
+      nextCursor: null,
+    };
+  }
+
+  // Formas de pagamento normalizadas -> conta, para lançamentos sem account_id (importação, parcelas...)
+  async paymentTypeMap(userId) {
+    const accounts = await Account.find({ user_id: userId, payment_types: { $exists: true, $ne: [] } });
+    return new Map(accounts.flatMap((account) => account.payment_types.map((paymentType) => [paymentType, account._id])));
+  }
+
+  // account_id informado (validado) ou a conta associada à forma de pagamento
+  async resolveAccountId(userId, { account_id, payment_type } = {}) {
+    if (account_id) {
+      const account = mongoose.Types.ObjectId.isValid(account_id) ? await Account.findOne({ _id: account_id, user_id: userId }) : null;
+      if (!account) throw new AccountError("account_id não corresponde a uma conta do usuário", 422);
+      return account._id;
+    }
+    if (!payment_type) return undefined;
+
+    return (await this.paymentTypeMap(userId)).get(normalizeText(payment_type));
+  }
+}
+
+const accountService = new AccountService();
+accountService.AccountError = AccountError;
+accountService.normalizePaymentTypes = normalizePaymentTypes;
+
+module.exports = accountService;
@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+
+const billsModel = require("../models/billsModel");
+const { buildBillFilter, toList } = require("../utils/billFilters");
+const { categoryLinesStages, excludeTransfers } = require("../utils/billAggregations");
+const { fromCents } = require("../utils/money");
+const reportService = require("./reportService");
+
+const GROUP_BY = ["category", "type", "payment_type", "month", "week", "tag"];
+
+class AnalyticsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AnalyticsError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Expressão do agrupamento de cada dimensão (category usa as linhas das divisões)
+const groupKey = (dimension, timezone) =>
+  ({
+    category: "$line_category",
+    type: "$bill_type",
+    payment_type: "$payment_type",
+    month: { $dateToString: { format: "%Y-%m", date: "$buy_date", timezone } },
+    week: { $dateToString: { format: "%G-W%V", date: "$buy_date", timezone } },
+    tag: "$tags",
+  }[dimension]);
+
+const metrics = (amount) => ({
+  sum: { $sum: amount },
+  count: { $sum: 1 },
+  avg: { $avg: amount },
+  min: { $min: amount },
+  max: { $max: amount },
+  expense: { $sum: { $cond: [{ $eq: ["$bill_type", "expense"] }, amount, 0] } },
+  income: { $sum: { $cond: [{ $eq: ["$bill_type", "income"] }, amount, 0] } },
+});
+
+// Valores agregados em centavos -> reais (a média é arredondada para o centavo)
+const formatMetrics = (row) => ({
+  sum: fromCents(row.sum),
+  count: row.count,
+  avg: fromCents(Math.round(row.avg || 0)),
+  min: fromCents(row.min),
+  max: fromCents(row.max),
+  expense: fromCents(row.expense),
+  income: fromCents(row.income),
+});
+
+class AnalyticsService {
+  parseGroupBy(value) {
+    const groupBy = [...new Set(toList(value))];
+    const invalid = groupBy.filter((dimension) => !GROUP_BY.includes(dimension));
+
+    if (!groupBy.length) throw new AnalyticsError(`Informe groupBy (${GROUP_BY.join(", ")})`);
+    if (invalid.length) throw new AnalyticsError(`Agrupamento inválido: ${invalid.join(", ")}`);
+    return groupBy;
+  }
+
+  parseTimezone(value) {
+    if (!value) return Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    try {
+      return new Intl.DateTimeFormat("pt-BR", { timeZone: value }).resolvedOptions().timeZone;
+    } catch (error) {
+      throw new AnalyticsError(`Fuso horário inválido: ${value}`);
+    }
+  }
+
+  // Soma, quantidade, média, mínimo e máximo por grupo no período (contas canceladas e transferências ficam de fora)
+  async aggregate(userId, query = {}) {
+    const groupBy = this.parseGroupBy(query.groupBy);
+    const { start, end } = reportService.resolvePeriod(query);
+    const timezone = this.parseTimezone(query.timezone);
+
+    const { startDate, endDate, ...filters } = query;
+    const match = buildBillFilter(new mongoose.Types.ObjectId(userId), filters);
+    match.buy_date = { $gte: start, $lte: end };
+    match.$and = (match.$and || []).concat({ status: { $ne: "cancelled" } }, excludeTransfers());
+
+    const byCategory = groupBy.includes("category");
+    const amount = byCategory ? "$line_amount" : "$bill_value";
+
+    const pipeline = [
+      { $match: match },
+      ...(byCategory ? categoryLinesStages() : []),
+      ...(groupBy.includes("tag") ? [{ $unwind: { path: "$tags", preserveNullAndEmptyArrays: true } }] : []),
+      {
+        $facet: {
+          groups: [
+            {
+              $group: {
+                _id: Object.fromEntries(groupBy.map((dimension) => [dimension, groupKey(dimension, timezone)])),
+                ...metrics(amount),
+              },
+            },
+            { $sort: Object.fromEntries(groupBy.map((dimension) => [`_id.${dimension}`, 1])) },
+          ],
+          totals: [{ $group: { _id: null, ...metrics(amount) } }],
+        },
+      },
+    ];
+
+    const [result] = await billsModel.aggregate(pipeline);
+    const totals = result.totals[0];
+
+    return {
+      startDate: start,
+      endDate: end,
+      groupBy,
+      timezone,
+      groups: result.groups.map((row) => ({
+        key: Object.fromEntries(groupBy.map((dimension) => [dimension, row._id[dimension] ?? null])),
+        ...formatMetrics(row),
+      })),
+      totals: formatMetrics(totals || { sum: 0, count: 0, avg: 0, min: null, max: null, expense: 0, income: 0 }),
+    };
+  }
+}
+
+const analyticsService = new AnalyticsService();
+analyticsService.AnalyticsError = AnalyticsError;
+analyticsService.GROUP_BY = GROUP_BY;
+
+module.exports = analyticsService;
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+const billsModel = require("../models/billsModel");
+const Attachment = require("../models/attachmentModel");
+const { getStorage } = require("./storage");
+
+const DEFAULT_QUOTA_MB = 100;
+
+// Comprovantes, notas fiscais e boletos
+const ALLOWED_TYPES = {
+  "application/pdf": ".pdf",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/heic": ".heic",
+};
+
+class AttachmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "AttachmentError";
+    this.statusCode = statusCode;
+  }
+}
+
+class AttachmentService {
+  get quotaBytes() {
+    return (parseInt(process.env.ATTACHMENT_QUOTA_MB, 10) || DEFAULT_QUOTA_MB) * 1024 * 1024;
+  }
+
+  async usage(userId) {
+    const [row] = await Attachment.aggregate([
+      { $match: { user_id: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: null, used: { $sum: "$size" } } },
+    ]);
+
+    return { used: row ? row.used : 0, quota: this.quotaBytes };
+  }
+
+  async findBill(userId, billId) {
+    const bill = mongoose.Types.ObjectId.isValid(billId) ? await billsModel.findOne({ _id: billId, user_id: userId }) : null;
+    if (!bill) throw new AttachmentError("Bill not found", 404);
+    return bill;
+  }
+
+  async findAttachment(userId, billId, attachmentId) {
+    const valid = [billId, attachmentId].every((id) => mongoose.Types.ObjectId.isValid(id));
+    const attachment = valid ? await Attachment.findOne({ _id: attachmentId, user_id: userId, bill_id: billId }) : null;
+    if (!attachment) throw new AttachmentError("Attachment not found", 404);
+    return attachment;
+  }
+
+  // Recebe o arquivo do multipart, valida tipo e cota e grava no backend configurado
+  async upload(userId, billId, file) {
+    if (!file) throw new AttachmentError("Nenhum arquivo enviado");
+
+    const bill = await this.findBill(userId, billId);
+
+    const extension = ALLOWED_TYPES[file.mimetype];
+    if (!extension) {
+      throw new AttachmentError("Tipo de arquivo não suportado. Use PDF, JPG, PNG, WEBP ou HEIC.", 415);
+    }
+
+    const buffer = await file.toBuffer();
+
+    const { used, quota } = await this.usage(userId);
+    if (used + buffer.length > quota) {
+      throw new AttachmentError("Cota de armazenamento de anexos excedida", 413);
+    }
+
+    const storage = getStorage();
+    const key = path.posix.join(String(userId), String(bill._id), `${uuidv4()}${extension}`);
+
+    await storage.save(key, buffer);
+
+    try {
+      return await Attachment.create({
+        user_id: userId,
+        bill_id: bill._id,
+        filename: path.basename(file.filename || `anexo${extension}`),
+        content_type: file.mimetype,
+        size: buffer.length,
+        storage_driver: storage.name,
+        storage_key: key,
+      });
+    } catch (error) {
+      await storage.remove(key);
+      throw error;
+    }
+  }
+
+  async list(userId, billId) {
+    await this.findBill(userId, billId);
+    return Attachment.find({ user_id: userId, bill_id: billId }).sort({ createdAt: -1 });
+  }
+
+  async open(userId, billId, attachmentId) {
+    const attachment = await this.findAttachment(userId, billId, attachmentId);
+
+    return { attachment, stream: getStorage(attachment.storage_driver).createReadStream(attachment.storage_key) };
+  }
+
+  async removeAttachments(attachments) {
+    for (const attachment of attachments) {
+      await getStorage(attachment.storage_driver).remove(attachment.storage_key);
+    }
+
+    await Attachment.deleteMany({ _id: { $in: attachments.map((attachment) => attachment._id) } });
+    return attachments.length;
+  }
+
+  async remove(userId, billId, attachmentId) {
+    const attachment = await this.findAttachment(userId, billId, attachmentId);
+
+    return this.removeAttachments([attachment]);
+  }
+
+  // Contas na lixeira mantêm os anexos; eles só são apagados quando a conta é removida de vez
+  async removeForBills(billIds) {
+    if (!billIds.length) return 0;
+    return this.removeAttachments(await Attachment.find({ bill_id: { $in: billIds } }));
+  }
+
+  async removeForUser(userId) {
+    return this.removeAttachments(await Attachment.find({ user_id: userId }));
+  }
+}
+
+const attachmentService = new AttachmentService();
+attachmentService.AttachmentError = AttachmentError;
+attachmentService.ALLOWED_TYPES = ALLOWED_TYPES;
+
+module.exports = attachmentService;
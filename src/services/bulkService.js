@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const { buildBillFilter } = require("../utils/billFilters");
+const { withTransaction } = require("../utils/transaction");
+const trashService = require("./trashService");
+const historyService = require("./historyService");
+const transferService = require("./transferService");
+const cardStatementService = require("./cardStatementService");
+const categoryService = require("./categoryService");
+
+const MAX_BULK_ITEMS = 1000;
+const ACTIONS = ["delete", "set_category", "set_payment_type", "set_flags", "shift_dates"];
+
+class BulkOperationError extends Error {
+  constructor(message, statusCode = 400, results = []) {
+    super(message);
+    this.name = "BulkOperationError";
+    this.statusCode = statusCode;
+    this.results = results;
+  }
+}
+
+class BulkService {
+  // Valida o payload de cada ação e devolve a função que altera a conta
+  buildMutation(action, payload = {}) {
+    switch (action) {
+      case "set_category":
+        if (!payload.bill_category) throw new BulkOperationError("payload.bill_category é obrigatório");
+        return (bill) => {
+          bill.bill_category = payload.bill_category;
+        };
+      case "set_payment_type":
+        if (!payload.payment_type) throw new BulkOperationError("payload.payment_type é obrigatório");
+        return (bill) => {
+          bill.payment_type = payload.payment_type;
+        };
+      case "set_flags":
+        if (payload.fixed === undefined && payload.repeat === undefined) {
+          throw new BulkOperationError("Informe payload.fixed e/ou payload.repeat");
+        }
+        return (bill) => {
+          if (payload.fixed !== undefined) bill.fixed = payload.fixed;
+          if (payload.repeat !== undefined) bill.repeat = payload.repeat;
+        };
+      case "shift_dates": {
+        const days = parseInt(payload.days, 10) || 0;
+        const months = parseInt(payload.months, 10) || 0;
+        if (!days && !months) throw new BulkOperationError("Informe payload.days e/ou payload.months");
+
+        const shift = (date) => (date ? moment(date).add(months, "months").add(days, "days").toDate() : date);
+        return (bill) => {
+          bill.buy_date = shift(bill.buy_date);
+          bill.due_date = shift(bill.due_date);
+        };
+      }
+      default:
+        throw new BulkOperationError(`Ação inválida: ${action}`);
+    }
+  }
+
+  // Resolve as contas alvo por ids ou por filtro; ids inexistentes abortam o lote
+  async resolveTargets(userId, { ids, filter }, session) {
+    if (Array.isArray(ids) && ids.length) {
+      if (ids.length > MAX_BULK_ITEMS) throw new BulkOperationError(`Máximo de ${MAX_BULK_ITEMS} contas por operação`);
+
+      const validIds = ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+      const bills = await billsModel.find({ _id: { $in: validIds }, user_id: userId }).session(session);
+      const found = new Set(bills.map((bill) => String(bill._id)));
+
+      const missing = ids.filter((id) => !found.has(String(id)));
+      if (missing.length) {
+        const results = ids.map((id) => ({ id, status: found.has(String(id)) ? "skipped" : "not_found" }));
+        throw new BulkOperationError("Algumas contas não foram encontradas; nenhuma alteração foi feita", 404, results);
+      }
+
+      return bills;
+    }
+
+    if (filter && typeof filter === "object") {
+      const bills = await billsModel
+        .find(buildBillFilter(userId, filter))
+        .limit(MAX_BULK_ITEMS + 1)
+        .session(session);
+
+      if (bills.length > MAX_BULK_ITEMS) {
+        throw new BulkOperationError(`O filtro seleciona mais de ${MAX_BULK_ITEMS} contas`);
+      }
+      return bills;
+    }
+
+    throw new BulkOperationError("Informe ids ou filter");
+  }
+
+  // Aplica a ação em todas as contas dentro de uma única transação
+  async apply(userId, { action, ids, filter, payload }) {
+    if (!ACTIONS.includes(action)) throw new BulkOperationError(`Ação inválida: ${action}`);
+
+    const mutate = action === "delete" ? null : this.buildMutation(action, payload);
+
+    return withTransaction(async (session) => {
+      const bills = await this.resolveTargets(userId, { ids, filter }, session);
+
+      if (action === "delete") {
+        await transferService.assertNotStatementPayment(userId, { _id: { $in: bills.map((bill) => bill._id) } }, session);
+        await trashService.trashBills(userId, { _id: { $in: bills.map((bill) => bill._id) } }, session);
+        return bills.map((bill) => ({ id: String(bill._id), status: "deleted" }));
+      }
+
+      const befores = bills.map((bill) => historyService.snapshot(bill));
+      bills.forEach(mutate);
+      if (action === "set_category") await categoryService.assignCategories(userId, bills, session);
+
+      const results = [];
+      for (const bill of bills) {
+        await bill.save({ session });
+        results.push({ id: String(bill._id), status: "updated" });
+      }
+
+      await historyService.recordChanges(userId, "update", befores, bills, session);
+      await transferService.syncCounterparts(userId, bills, session);
+      await cardStatementService.assign(userId, { _id: { $in: bills.map((bill) => bill._id) } }, session);
+
+      return results;
+    });
+  }
+}
+
+const bulkService = new BulkService();
+bulkService.BulkOperationError = BulkOperationError;
+bulkService.ACTIONS = ACTIONS;
+
+module.exports = bulkService;
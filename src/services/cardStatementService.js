@@ -0,0 +1,288 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+const Account = require("../models/accountModel");
+const CardStatement = require("../models/cardStatementModel");
+const billsModel = require("../models/billsModel");
+const { signedAmount, excludeTransfers } = require("../utils/billAggregations");
+const { parseDate } = require("../utils/billFilters");
+const { toCents, fromCents } = require("../utils/money");
+const { withTransaction } = require("../utils/transaction");
+const historyService = require("./historyService");
+const transferService = require("./transferService");
+const trashService = require("./trashService");
+
+// Quantas faturas futuras a previsão mostra além da aberta (parcelas já lançadas)
+const FORECAST_STATEMENTS = 6;
+
+class CardStatementError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "CardStatementError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Dia `day` do mês de `date` (limitado ao último dia do mês)
+const dayOfMonth = (date, day) => {
+  const month = moment(date).startOf("month");
+  return month.date(Math.min(day, month.daysInMonth()));
+};
+
+class CardStatementService {
+  // Fatura em que cai uma compra feita em `date`: compras a partir do fechamento vão para a seguinte;
+  // o vencimento é o primeiro due_day depois do fechamento
+  periodFor(account, date) {
+    let closing = dayOfMonth(date, account.closing_day);
+    if (!moment(date).isBefore(closing, "day")) closing = dayOfMonth(moment(date).add(1, "month"), account.closing_day);
+
+    let due = dayOfMonth(closing, account.due_day);
+    if (!due.isAfter(closing, "day")) due = dayOfMonth(moment(closing).add(1, "month"), account.due_day);
+
+    return { month: due.format("YYYY-MM"), closing_date: closing.toDate(), due_date: due.toDate() };
+  }
+
+  async getCard(userId, accountId) {
+    const account = mongoose.Types.ObjectId.isValid(accountId) ? await Account.findOne({ _id: accountId, user_id: userId }) : null;
+    if (!account) throw new CardStatementError("Account not found", 404);
+    if (!account.hasStatements()) {
+      throw new CardStatementError("A conta não é um cartão de crédito com closing_day e due_day configurados", 422);
+    }
+    return account;
+  }
+
+  async findOrCreate(userId, account, period, session = null) {
+    return CardStatement.findOneAndUpdate(
+      { account_id: account._id, month: period.month },
+      { $setOnInsert: { user_id: userId, closing_date: period.closing_date, due_date: period.due_date } },
+      { upsert: true, new: true, session }
+    );
+  }
+
+  // (Re)associa as contas do filtro às faturas dos seus cartões; o vencimento da conta passa a ser o da fatura.
+  // Chamado depois de criar, importar ou editar contas; transferências (pagamentos) não entram em faturas
+  async assign(userId, filter = {}, session = null) {
+    const cards = (await Account.find({ user_id: userId, type: "credit_card" }).session(session)).filter((account) =>
+      account.hasStatements()
+    );
+    const cardById = new Map(cards.map((account) => [String(account._id), account]));
+
+    const bills = await billsModel
+      .find({
+        $and: [
+          filter,
+          { user_id: userId },
+          { $or: [{ account_id: { $in: cards.map((account) => account._id) } }, { card_statement_id: { $ne: null } }] },
+        ],
+      })
+      .session(session);
+
+    const statements = new Map();
+    const updates = [];
+
+    for (const bill of bills) {
+      const account = bill.bill_type !== transferService.TRANSFER_TYPE && bill.buy_date && cardById.get(String(bill.account_id));
+
+      if (!account) {
+        // Saiu do cartão (ou virou transferência): deixa de pertencer a uma fatura
+        if (bill.card_statement_id) {
+          updates.push({ updateOne: { filter: { _id: bill._id }, update: { $unset: { card_statement_id: 1 } } } });
+        }
+        continue;
+      }
+
+      // Fatura já paga não recebe compras novas: elas vão para a próxima em aberto
+      let period = this.periodFor(account, bill.buy_date);
+      let statement;
+      for (;;) {
+        const key = `${account._id}|${period.month}`;
+        if (!statements.has(key)) statements.set(key, await this.findOrCreate(userId, account, period, session));
+        statement = statements.get(key);
+
+        if (statement.status !== "paid" || String(bill.card_statement_id) === String(statement._id)) break;
+        period = this.periodFor(account, period.closing_date);
+      }
+
+      if (String(bill.card_statement_id) !== String(statement._id) || String(bill.due_date) !== String(statement.due_date)) {
+        updates.push({
+          updateOne: {
+            filter: { _id: bill._id },
+            update: { $set: { card_statement_id: statement._id, due_date: statement.due_date } },
+          },
+        });
+      }
+    }
+
+    if (updates.length) await billsModel.bulkWrite(updates, { session });
+    return updates.length;
+  }
+
+  // Fechamento ou vencimento alterados: as compras das faturas ainda não pagas são redistribuídas
+  async reassignAccount(userId, accountId) {
+    const paid = await CardStatement.find({ user_id: userId, account_id: accountId, status: "paid" }, "_id");
+    const filter = { account_id: accountId, card_statement_id: { $nin: paid.map((statement) => statement._id) } };
+
+    const moved = await this.assign(userId, filter);
+    await CardStatement.deleteMany({
+      user_id: userId,
+      account_id: accountId,
+      status: "open",
+      _id: { $nin: await billsModel.distinct("card_statement_id", { user_id: userId, account_id: accountId }) },
+    });
+
+    return moved;
+  }
+
+  // Total (em centavos) e quantidade de compras de cada fatura; estornos e créditos abatem o total
+  async totals(userId, statementIds) {
+    const rows = await billsModel.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(userId),
+          card_statement_id: { $in: statementIds },
+          status: { $ne: "cancelled" },
+          ...excludeTransfers(),
+        },
+      },
+      { $group: { _id: "$card_statement_id", total: { $sum: { $multiply: [signedAmount(), -1] } }, count: { $sum: 1 } } },
+    ]);
+
+    return new Map(rows.map((row) => [String(row._id), { total: row.total, count: row.count }]));
+  }
+
+  // Situação calculada: aberta até o fechamento, depois fechada e, passado o vencimento, vencida
+  format(statement, { total = 0, count = 0 } = {}, now = new Date()) {
+    let state = "open";
+    if (statement.status === "paid") state = "paid";
+    else if (moment(now).isAfter(statement.due_date, "day")) state = "overdue";
+    else if (!moment(now).isBefore(statement.closing_date, "day")) state = "closed";
+
+    return { ...statement.toJSON(), state, total: fromCents(total), count };
+  }
+
+  async list(userId, accountId) {
+    const account = await this.getCard(userId, accountId);
+    const statements = await CardStatement.find({ user_id: userId, account_id: account._id }).sort({ due_date: -1 });
+    const totals = await this.totals(userId, statements.map((statement) => statement._id));
+
+    return statements.map((statement) => this.format(statement, totals.get(String(statement._id))));
+  }
+
+  async get(userId, accountId, month) {
+    const account = await this.getCard(userId, accountId);
+    const statement = await CardStatement.findOne({ user_id: userId, account_id: account._id, month });
+    if (!statement) throw new CardStatementError("Statement not found", 404);
+
+    const [totals, bills] = await Promise.all([
+      this.totals(userId, [statement._id]),
+      billsModel.find({ user_id: userId, card_statement_id: statement._id }).sort({ buy_date: 1, _id: 1 }).populate(billsModel.CATEGORY_POPULATE),
+    ]);
+
+    return { ...this.format(statement, totals.get(String(statement._id))), bills };
+  }
+
+  // Fatura aberta (a que recebe compras feitas hoje) e as seguintes que já têm parcelas lançadas
+  async forecast(userId, accountId) {
+    const account = await this.getCard(userId, accountId);
+    const period = this.periodFor(account, new Date());
+
+    const statements = await CardStatement.find({
+      user_id: userId,
+      account_id: account._id,
+      due_date: { $gte: period.due_date },
+    })
+      .sort({ due_date: 1 })
+      .limit(FORECAST_STATEMENTS + 1);
+    const totals = await this.totals(userId, statements.map((statement) => statement._id));
+
+    const formatted = statements.map((statement) => this.format(statement, totals.get(String(statement._id))));
+    const open =
+      formatted.find((statement) => statement.month === period.month) ||
+      this.format(new CardStatement({ user_id: userId, account_id: account._id, ...period }));
+
+    return { open, upcoming: formatted.filter((statement) => statement.month !== period.month) };
+  }
+
+  // Paga a fatura com uma transferência da conta pagadora para o cartão e marca as compras como pagas
+  async pay(userId, accountId, month, { from_account_id, date, amount } = {}) {
+    const account = await this.getCard(userId, accountId);
+    const statement = await CardStatement.findOne({ user_id: userId, account_id: account._id, month });
+    if (!statement) throw new CardStatementError("Statement not found", 404);
+    if (statement.status === "paid") throw new CardStatementError("A fatura já está paga", 409);
+
+    const { total = 0 } = (await this.totals(userId, [statement._id])).get(String(statement._id)) || {};
+    const value = amount !== undefined ? amount : fromCents(total);
+    if (!(toCents(value) > 0)) throw new CardStatementError("A fatura não tem valor a pagar");
+    // Pagamento parcial não quita a fatura
+    if (toCents(value) < total) {
+      throw new CardStatementError(`O valor pago é menor que o total da fatura (${fromCents(total)})`, 422);
+    }
+
+    const paidAt = date ? parseDate(date) : new Date();
+    if (!paidAt) throw new CardStatementError("Data inválida (use YYYY-MM-DD)");
+
+    return withTransaction(async (session) => {
+      const transfer = await transferService.create(
+        userId,
+        {
+          from_account_id,
+          to_account_id: account._id,
+          amount: value,
+          date: moment(paidAt).format("YYYY-MM-DD"),
+          description: `Pagamento da fatura ${account.name} ${month}`,
+        },
+        session
+      );
+
+      statement.set({ status: "paid", paid_at: paidAt, paid_amount: value, payment_transfer_id: transfer.transfer_id });
+      await statement.save({ session });
+
+      const purchases = { user_id: userId, card_statement_id: statement._id, status: { $in: ["pending", null] } };
+      await historyService.track(
+        userId,
+        "update",
+        purchases,
+        () => billsModel.updateMany(purchases, { $set: { status: "paid", paid_at: paidAt } }, { session }),
+        session
+      );
+
+      return { statement: this.format(statement, { total }), transfer };
+    });
+  }
+
+  // Desfaz o pagamento: a transferência vai para a lixeira, a fatura reabre e as compras quitadas com ela
+  // voltam a pendentes
+  async unpay(userId, accountId, month) {
+    const account = await this.getCard(userId, accountId);
+    const statement = await CardStatement.findOne({ user_id: userId, account_id: account._id, month });
+    if (!statement) throw new CardStatementError("Statement not found", 404);
+    if (statement.status !== "paid") throw new CardStatementError("A fatura não está paga", 409);
+
+    const totals = (await this.totals(userId, [statement._id])).get(String(statement._id));
+
+    return withTransaction(async (session) => {
+      if (statement.payment_transfer_id) {
+        await trashService.trashBills(userId, { transfer_id: statement.payment_transfer_id }, session);
+      }
+
+      const purchases = { user_id: userId, card_statement_id: statement._id, status: "paid", paid_at: statement.paid_at };
+      await historyService.track(
+        userId,
+        "update",
+        purchases,
+        () => billsModel.updateMany(purchases, { $set: { status: "pending" }, $unset: { paid_at: "" } }, { session }),
+        session
+      );
+
+      statement.set({ status: "open", paid_at: undefined, paid_amount: undefined, payment_transfer_id: undefined });
+      await statement.save({ session });
+
+      return { statement: this.format(statement, totals) };
+    });
+  }
+}
+
+const cardStatementService = new CardStatementService();
+cardStatementService.CardStatementError = CardStatementError;
+
+module.exports = cardStatementService;
@@ -0,0 +1,92 @@
+const cardStatementService = require("./cardStatementService");
+
+const card = (closing_day, due_day) => ({ closing_day, due_day });
+
+const period = (account, date) => cardStatementService.periodFor(account, date);
+
+describe("periodFor", () => {
+  const account = card(3, 10);
+
+  test("compra antes do fechamento cai na fatura do mês", () => {
+    expect(period(account, new Date(2024, 2, 2, 23, 59))).toEqual({
+      month: "2024-03",
+      closing_date: new Date(2024, 2, 3),
+      due_date: new Date(2024, 2, 10),
+    });
+  });
+
+  test("compra no dia do fechamento já vai para a seguinte", () => {
+    expect(period(account, new Date(2024, 2, 3))).toEqual({
+      month: "2024-04",
+      closing_date: new Date(2024, 3, 3),
+      due_date: new Date(2024, 3, 10),
+    });
+  });
+
+  test("vencimento antes do dia de fechamento fica no mês seguinte ao fechamento", () => {
+    const reversed = card(25, 5);
+
+    expect(period(reversed, new Date(2024, 0, 24))).toEqual({
+      month: "2024-02",
+      closing_date: new Date(2024, 0, 25),
+      due_date: new Date(2024, 1, 5),
+    });
+    expect(period(reversed, new Date(2024, 0, 25)).month).toBe("2024-03");
+  });
+
+  test("vencimento no mesmo dia do fechamento passa para o mês seguinte", () => {
+    expect(period(card(10, 10), new Date(2024, 4, 1))).toEqual({
+      month: "2024-06",
+      closing_date: new Date(2024, 4, 10),
+      due_date: new Date(2024, 5, 10),
+    });
+  });
+
+  test("dias que o mês não tem ficam no último dia", () => {
+    expect(period(card(31, 30), new Date(2024, 1, 15))).toEqual({
+      month: "2024-03",
+      closing_date: new Date(2024, 1, 29),
+      due_date: new Date(2024, 2, 30),
+    });
+    expect(period(card(31, 30), new Date(2024, 1, 29)).closing_date).toEqual(new Date(2024, 2, 31));
+  });
+
+  test("virada do ano", () => {
+    expect(period(account, new Date(2024, 11, 20))).toEqual({
+      month: "2025-01",
+      closing_date: new Date(2025, 0, 3),
+      due_date: new Date(2025, 0, 10),
+    });
+  });
+
+  test("a partir do fechamento de uma fatura chega na seguinte", () => {
+    const first = period(account, new Date(2024, 2, 1));
+    expect(period(account, first.closing_date).month).toBe("2024-04");
+  });
+});
+
+describe("format", () => {
+  const statement = (status = "open") => ({
+    status,
+    closing_date: new Date(2024, 2, 3),
+    due_date: new Date(2024, 2, 10),
+    toJSON() {
+      return { status: this.status };
+    },
+  });
+
+  test("aberta até o fechamento, fechada até o vencimento e depois vencida", () => {
+    expect(cardStatementService.format(statement(), {}, new Date(2024, 2, 2, 23)).state).toBe("open");
+    expect(cardStatementService.format(statement(), {}, new Date(2024, 2, 3)).state).toBe("closed");
+    expect(cardStatementService.format(statement(), {}, new Date(2024, 2, 10, 23)).state).toBe("closed");
+    expect(cardStatementService.format(statement(), {}, new Date(2024, 2, 11)).state).toBe("overdue");
+  });
+
+  test("paga não vence e o total sai em reais", () => {
+    expect(cardStatementService.format(statement("paid"), { total: 12345, count: 2 }, new Date(2024, 5, 1))).toMatchObject({
+      state: "paid",
+      total: 123.45,
+      count: 2,
+    });
+  });
+});
@@ -0,0 +1,480 @@
+const mongoose = require("mongoose");
+
+const Category = require("../models/categoryModel");
+const billsModel = require("../models/billsModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const SavedView = require("../models/savedViewModel");
+const Reconciliation = require("../models/reconciliationModel");
+const usersModel = require("../models/usersModel");
+const { normalizeText } = require("../utils/search");
+const { sumMoney } = require("../utils/money");
+const { PACKS, resolveLocale, localizePack, systemCategoryName } = require("../utils/categoryTemplates");
+const { withTransaction } = require("../utils/transaction");
+const historyService = require("./historyService");
+const searchService = require("./searchService");
+const trashService = require("./trashService");
+
+const EDITABLE_FIELDS = ["name", "description", "color", "icon", "category_type", "isActive", "budget", "parent_id"];
+
+// Destino das contas quando a categoria é removida sem outra para recebê-las (system_key; o nome depende do idioma)
+const UNCATEGORIZED = "uncategorized";
+
+class CategoryError extends Error {
+  constructor(message, statusCode = 400, details = null) {
+    super(message);
+    this.name = "CategoryError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Contas que usam a categoria (pelo nome e, se informado, pelo id), como principal ou em uma divisão
+const categoryBillsFilter = (userId, name, categoryId = null) => ({
+  user_id: userId,
+  $or: [
+    { bill_category: name },
+    { "splits.category": name },
+    ...(categoryId ? [{ category_id: categoryId }, { "splits.category_id": categoryId }] : []),
+  ],
+});
+
+// Subcategorias de cada categoria (chave "" para as da raiz)
+const childrenOf = (categories) =>
+  categories.reduce((map, category) => {
+    const key = category.parent_id ? String(category.parent_id) : "";
+    map.set(key, [...(map.get(key) || []), category]);
+    return map;
+  }, new Map());
+
+// Níveis da categoria para baixo, contando ela mesma
+const subtreeHeight = (id, children) =>
+  1 + Math.max(0, ...(children.get(id) || []).map((child) => subtreeHeight(String(child._id), children)));
+
+// Regras de bill_category de um filtro salvo (ver utils/filterDsl) que citam a categoria pelo nome normalizado;
+// com `to`, o nome citado é trocado por ele. Devolve quantas regras citam a categoria
+const visitCategoryRules = (node, key, to = null) => {
+  if (!node || typeof node !== "object") return 0;
+
+  const group = node.and || node.or;
+  if (Array.isArray(group)) return group.reduce((total, child) => total + visitCategoryRules(child, key, to), 0);
+  if (node.field !== "bill_category" || node.op === "contains") return 0;
+
+  const values = Array.isArray(node.value) ? node.value : [node.value];
+  if (!values.some((value) => normalizeText(value) === key)) return 0;
+
+  if (to) {
+    const replaced = [...new Set(values.map((value) => (normalizeText(value) === key ? to : value)))];
+    node.value = Array.isArray(node.value) ? replaced : replaced[0];
+  }
+  return 1;
+};
+
+class CategoryService {
+  // Categoria para a resposta: as do sistema ganham `label` no idioma pedido
+  present(category, locale) {
+    const json = typeof category.toJSON === "function" ? category.toJSON() : category;
+    return json.system_key ? { ...json, label: systemCategoryName(json.system_key, locale) || json.name } : json;
+  }
+
+  async get(userId, categoryId) {
+    const category = mongoose.Types.ObjectId.isValid(categoryId) ? await Category.findOne({ _id: categoryId, user_id: userId }) : null;
+    if (!category) throw new CategoryError("Category not found", 404);
+    return category;
+  }
+
+  // Valida o pai da categoria: do mesmo usuário, sem ciclo (ela não pode ficar abaixo de si mesma)
+  // e sem passar de MAX_DEPTH níveis, contando as subcategorias que ela já tem
+  async validateParent(userId, parentId, category = null, session = null) {
+    if (!parentId) return null;
+
+    const categories = await Category.find({ user_id: userId }, "parent_id").session(session);
+    const byId = new Map(categories.map((item) => [String(item._id), item]));
+    const parent = mongoose.Types.ObjectId.isValid(parentId) ? byId.get(String(parentId)) : null;
+    if (!parent) throw new CategoryError("Categoria pai não encontrada", 404);
+
+    const ancestors = [];
+    for (let node = parent; node && ancestors.length <= categories.length; node = node.parent_id && byId.get(String(node.parent_id))) {
+      ancestors.push(String(node._id));
+    }
+
+    const ownId = category && String(category._id);
+    if (ownId && ancestors.includes(ownId)) {
+      throw new CategoryError("A categoria não pode ficar abaixo dela mesma ou de uma subcategoria sua");
+    }
+
+    const height = ownId ? subtreeHeight(ownId, childrenOf(categories)) : 1;
+    if (ancestors.length + height > Category.MAX_DEPTH) {
+      throw new CategoryError(`As categorias podem ter no máximo ${Category.MAX_DEPTH} níveis`);
+    }
+
+    return parent._id;
+  }
+
+  // Categorias em árvore, ordenadas por nome; subcategoria de uma categoria na lixeira aparece na raiz
+  async tree(userId, locale) {
+    const categories = await Category.find({ user_id: userId }).sort({ name: 1 });
+    const ids = new Set(categories.map((category) => String(category._id)));
+    const children = childrenOf(categories);
+
+    const build = (category) => ({
+      ...this.present(category, locale),
+      children: (children.get(String(category._id)) || []).map(build),
+    });
+
+    return categories.filter((category) => !category.parent_id || !ids.has(String(category.parent_id))).map(build);
+  }
+
+  // Idioma dos pacotes de categorias: o informado ou, sem ele, o do usuário
+  async localeFor(userId, locale) {
+    if (locale) return resolveLocale(locale);
+
+    const user = await usersModel.findById(userId, "locale");
+    return resolveLocale(user && user.locale);
+  }
+
+  templates(locale) {
+    return Object.keys(PACKS).map((key) => localizePack(key, locale));
+  }
+
+  // Cria as categorias do pacote que o usuário ainda não tem (mesmo nome, sem diferenciar maiúsculas e acentos);
+  // as subcategorias ficam abaixo da categoria pai, nova ou já existente (se couberem na profundidade máxima)
+  async applyTemplate(userId, packKey, locale, session = null) {
+    const pack = localizePack(packKey, locale);
+    if (!pack) throw new CategoryError("Pacote de categorias não encontrado", 404);
+
+    const categories = await Category.find({ user_id: userId }).session(session);
+    const byKey = new Map(categories.map((category) => [normalizeText(category.name), category]));
+    const created = [];
+    let skipped = 0;
+
+    const parentIdFor = async (parent) => {
+      if (!parent || created.includes(parent)) return parent ? parent._id : null;
+      return this.validateParent(userId, parent._id, null, session).catch((error) => {
+        if (error instanceof CategoryError) return null;
+        throw error;
+      });
+    };
+
+    const apply = async (templates, parent) => {
+      for (const { name, type, color, icon, children } of templates) {
+        let category = byKey.get(normalizeText(name));
+
+        if (category) {
+          skipped += 1;
+        } else {
+          [category] = await Category.create(
+            [{ user_id: userId, name, category_type: type, color, icon, isActive: true, parent_id: await parentIdFor(parent) }],
+            { session }
+          );
+          byKey.set(normalizeText(name), category);
+          created.push(category);
+        }
+
+        await apply(children, category);
+      }
+    };
+    await apply(pack.categories, null);
+
+    return { pack: pack.key, locale, created, skipped };
+  }
+
+  // Nomes iguais sem diferenciar maiúsculas e acentos ("Alimentação" = "alimentacao")
+  async assertUniqueName(userId, name, exceptId = null) {
+    const normalized = normalizeText(name);
+    const categories = await Category.find({ user_id: userId, _id: { $ne: exceptId } }, "name");
+
+    if (categories.some((category) => normalizeText(category.name) === normalized)) {
+      throw new CategoryError("Essa categoria já existe.", 409);
+    }
+  }
+
+  // Categorias dos nomes informados, indexadas pelo nome normalizado; as que faltam são criadas
+  // (e as que estavam na lixeira voltam), já que as contas passam a apontar para elas.
+  // Nome de uma categoria removida com destino (merged_into) resolve para o destino, sem restaurá-la
+  async resolveNames(userId, entries, session = null) {
+    const wanted = new Map();
+    entries.forEach(({ name, type }) => {
+      const key = normalizeText(name);
+      if (key && !wanted.has(key)) wanted.set(key, { name: String(name).trim(), type });
+    });
+    if (!wanted.size) return new Map();
+
+    const categories = await Category.find({ user_id: userId }).setOptions({ withDeleted: true, session }).sort({ deleted_at: 1, created_at: 1 });
+    const byId = new Map(categories.map((category) => [String(category._id), category]));
+    const destination = (category) => {
+      const seen = new Set();
+      while (category.deleted_at && category.merged_into && byId.has(String(category.merged_into)) && !seen.has(String(category._id))) {
+        seen.add(String(category._id));
+        category = byId.get(String(category.merged_into));
+      }
+      return category;
+    };
+
+    const byKey = new Map();
+    categories.forEach((category) => {
+      const key = normalizeText(category.name);
+      if (wanted.has(key) && !byKey.has(key)) byKey.set(key, destination(category));
+    });
+
+    const restored = [...new Set(byKey.values())].filter((category) => category.deleted_at);
+    if (restored.length) {
+      await Category.updateMany({ _id: { $in: restored.map((category) => category._id) } }, { $set: { deleted_at: null } }, { session, withDeleted: true });
+      restored.forEach((category) => (category.deleted_at = null));
+    }
+
+    const missing = [...wanted].filter(([key]) => !byKey.has(key));
+    if (missing.length) {
+      const created = await Category.insertMany(
+        missing.map(([, { name, type }]) => ({ user_id: userId, name, category_type: type === "income" ? "income" : "expense", isActive: true })),
+        { session }
+      );
+      created.forEach((category) => byKey.set(normalizeText(category.name), category));
+    }
+
+    return byKey;
+  }
+
+  // Liga as contas (documentos ou objetos) às categorias pelo nome: preenche category_id
+  // e troca bill_category pelo nome cadastrado, inclusive nas divisões
+  async assignCategories(userId, bills, session = null) {
+    const entries = bills.flatMap((bill) => [
+      { name: bill.bill_category, type: bill.bill_type },
+      ...(bill.splits || []).map((split) => ({ name: split.category, type: bill.bill_type })),
+    ]);
+    const byKey = await this.resolveNames(userId, entries, session);
+
+    bills.forEach((bill) => {
+      const category = byKey.get(normalizeText(bill.bill_category));
+      if (category) {
+        bill.bill_category = category.name;
+        bill.category_id = category._id;
+      } else if (bill.bill_category !== undefined) {
+        bill.category_id = null;
+      }
+
+      (bill.splits || []).forEach((split) => {
+        const splitCategory = byKey.get(normalizeText(split.category));
+        if (!splitCategory) return;
+        split.category = splitCategory.name;
+        split.category_id = splitCategory._id;
+      });
+    });
+
+    return bills;
+  }
+
+  // Quem envia category_id em vez do nome: bill_category vem da categoria
+  async applyCategoryId(userId, data) {
+    if (!data.category_id) return data;
+
+    const category = await this.get(userId, data.category_id);
+    data.bill_category = category.name;
+    return data;
+  }
+
+  // Passa para a categoria `to` as contas (inclusive divisões e lixeira) e os parcelamentos ligados a `from`
+  // pelo nome ou pelo id. Serve para renomear (from é o nome antigo da mesma categoria) e para remover/juntar
+  async moveBills(userId, from, to, session) {
+    const filter = categoryBillsFilter(userId, from.name, from._id);
+    const options = { session, withDeleted: true };
+    const count = await billsModel.countDocuments(filter).setOptions(options);
+
+    await historyService.track(
+      userId,
+      "update",
+      filter,
+      async () => {
+        await billsModel.updateMany(
+          { user_id: userId, $or: [{ bill_category: from.name }, { category_id: from._id }] },
+          { $set: { bill_category: to.name, category_id: to._id } },
+          options
+        );
+        await billsModel.updateMany(
+          { user_id: userId, $or: [{ "splits.category": from.name }, { "splits.category_id": from._id }] },
+          { $set: { "splits.$[split].category": to.name, "splits.$[split].category_id": to._id } },
+          { ...options, arrayFilters: [{ $or: [{ "split.category": from.name }, { "split.category_id": from._id }] }] }
+        );
+      },
+      session
+    );
+    await InstallmentPlan.updateMany(
+      { user_id: userId, $or: [{ bill_category: from.name }, { category_id: from._id }] },
+      { $set: { bill_category: to.name, category_id: to._id } },
+      { session }
+    );
+    await searchService.reindex(categoryBillsFilter(userId, to.name, to._id), session);
+
+    return count;
+  }
+
+  // O que depende da categoria: contas (ativas e na lixeira), parcelamentos, orçamento,
+  // visões salvas com regras sobre ela e subcategorias
+  async usage(userId, category) {
+    const filter = categoryBillsFilter(userId, category.name, category._id);
+    const key = normalizeText(category.name);
+
+    const [bills, trashedBills, installmentPlans, views, subcategories] = await Promise.all([
+      billsModel.countDocuments(filter),
+      billsModel.countDocuments({ ...filter, deleted_at: { $ne: null } }),
+      InstallmentPlan.countDocuments({ user_id: userId, $or: [{ bill_category: category.name }, { category_id: category._id }] }),
+      SavedView.find({ user_id: userId }, "filter"),
+      Category.countDocuments({ user_id: userId, parent_id: category._id }),
+    ]);
+
+    return {
+      bills,
+      trashedBills,
+      installmentPlans,
+      budgets: category.budget ? 1 : 0,
+      savedViews: views.filter((view) => visitCategoryRules(view.filter, key)).length,
+      subcategories,
+    };
+  }
+
+  // "Sem categoria" do usuário, achada pela system_key. Sem ela, é criada no idioma do usuário
+  // (ou adotada, se já existir uma categoria com esse nome); na lixeira, volta como as outras em resolveNames
+  async uncategorized(userId, type, session = null) {
+    const current = await Category.findOne({ user_id: userId, system_key: UNCATEGORIZED }).setOptions({ withDeleted: true, session });
+    const name = current ? current.name : systemCategoryName(UNCATEGORIZED, await this.localeFor(userId));
+
+    const category = (await this.resolveNames(userId, [{ name, type }], session)).get(normalizeText(name));
+    if (category.system_key !== UNCATEGORIZED) {
+      // A antiga foi juntada a outra: a chave passa para o destino
+      await Category.updateMany(
+        { user_id: userId, system_key: UNCATEGORIZED },
+        { $set: { system_key: null } },
+        { session, withDeleted: true }
+      );
+      category.system_key = UNCATEGORIZED;
+      await category.save({ session });
+    }
+    return category;
+  }
+
+  // Categoria que recebe o que era da removida: a informada ou "Sem categoria" (criada se preciso)
+  async resolveTarget(userId, source, { reassign_to, uncategorized }, session) {
+    const target = reassign_to ? await this.get(userId, reassign_to) : await this.uncategorized(userId, source.category_type, session);
+
+    if (String(target._id) === String(source._id)) throw new CategoryError("Escolha outra categoria para receber as contas");
+
+    // As subcategorias passam para o destino, que não pode estar abaixo da removida
+    const categories = await Category.find({ user_id: userId }, "parent_id").session(session);
+    const byId = new Map(categories.map((category) => [String(category._id), category]));
+    for (let node = byId.get(String(target._id)), level = 0; node && level < categories.length; level++) {
+      if (String(node._id) === String(source._id)) {
+        throw new CategoryError("A categoria de destino não pode ser uma subcategoria da que está sendo removida");
+      }
+      node = node.parent_id && byId.get(String(node.parent_id));
+    }
+
+    const subcategories = categories.filter((category) => String(category.parent_id) === String(source._id));
+    for (const subcategory of subcategories) {
+      await this.validateParent(userId, target._id, subcategory, session);
+    }
+
+    return target;
+  }
+
+  // Troca o nome da categoria nas regras das visões salvas que a citam
+  async renameInViews(userId, from, to, session) {
+    const key = normalizeText(from);
+    const views = await SavedView.find({ user_id: userId }).session(session);
+    for (const view of views) {
+      if (!visitCategoryRules(view.filter, key, to)) continue;
+      view.markModified("filter");
+      await view.save({ session });
+    }
+  }
+
+  // Passa tudo o que usa `source` para `target` (o orçamento soma no destino) e manda `source` para a lixeira
+  async reassign(userId, source, target, session) {
+    const billsUpdated = await this.moveBills(userId, source, target, session);
+    await this.renameInViews(userId, source.name, target.name, session);
+
+    await Category.updateMany({ user_id: userId, parent_id: source._id }, { $set: { parent_id: target._id } }, { session });
+
+    if (source.budget) target.budget = sumMoney([target.budget, source.budget]);
+    target.updated_at = new Date();
+    await target.save({ session });
+
+    // O nome antigo passa a resolver para o destino (imports, novas contas, conciliação)
+    await Category.updateOne({ _id: source._id }, { $set: { merged_into: target._id } }, { session });
+    await trashService.trashCategory(userId, source._id, session);
+
+    return billsUpdated;
+  }
+
+  // Remove a categoria. Se algo a usa, é preciso dizer para onde vai (reassign_to ou uncategorized);
+  // a troca e a remoção acontecem na mesma transação
+  async remove(userId, categoryId, { reassign_to, uncategorized } = {}) {
+    const source = await this.get(userId, categoryId);
+    const usage = await this.usage(userId, source);
+
+    if (!reassign_to && !uncategorized) {
+      if (Object.values(usage).some(Boolean)) {
+        throw new CategoryError("A categoria está em uso: informe reassign_to ou uncategorized", 409, usage);
+      }
+      await trashService.trashCategory(userId, source._id);
+      return { usage, target: null, billsUpdated: 0 };
+    }
+
+    return withTransaction(async (session) => {
+      const target = await this.resolveTarget(userId, source, { reassign_to, uncategorized }, session);
+      const billsUpdated = await this.reassign(userId, source, target, session);
+
+      return { usage, target, billsUpdated };
+    });
+  }
+
+  // Juntar categorias é remover a de origem passando tudo para a de destino
+  async merge(userId, sourceId, targetId) {
+    return this.remove(userId, sourceId, { reassign_to: targetId });
+  }
+
+  // Edita a categoria; renomear atualiza as contas, as visões salvas e as conciliações abertas na mesma transação
+  async update(userId, categoryId, changes) {
+    const category = await this.get(userId, categoryId);
+    const previousName = category.name;
+
+    if (changes.name !== undefined) {
+      changes.name = String(changes.name).trim();
+      if (!changes.name) throw new CategoryError("O nome da categoria é obrigatório.");
+      await this.assertUniqueName(userId, changes.name, category._id);
+    }
+    if (changes.budget !== undefined && changes.budget !== null && !(Number(changes.budget) >= 0)) {
+      throw new CategoryError("budget deve ser um valor maior ou igual a zero");
+    }
+    if (changes.parent_id !== undefined) {
+      changes.parent_id = await this.validateParent(userId, changes.parent_id, category);
+    }
+
+    EDITABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => category.set(field, changes[field]));
+    category.updated_at = new Date();
+
+    if (category.name === previousName) {
+      await category.save();
+      return { category, billsUpdated: 0 };
+    }
+
+    return withTransaction(async (session) => {
+      await category.save({ session });
+      const billsUpdated = await this.moveBills(userId, { name: previousName, _id: category._id }, category, session);
+      await this.renameInViews(userId, previousName, category.name, session);
+      // Linhas ainda não conciliadas viram contas com a categoria da linha
+      await Reconciliation.updateMany(
+        { user_id: userId, status: "open", "lines.bill_category": previousName },
+        { $set: { "lines.$[line].bill_category": category.name } },
+        { session, arrayFilters: [{ "line.bill_category": previousName }] }
+      );
+
+      return { category, billsUpdated };
+    });
+  }
+}
+
+const categoryService = new CategoryService();
+categoryService.CategoryError = CategoryError;
+categoryService.categoryBillsFilter = categoryBillsFilter;
+categoryService.UNCATEGORIZED = UNCATEGORIZED;
+
+module.exports = categoryService;
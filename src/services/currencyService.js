@@ -0,0 +1,269 @@
+const mongoose = require("mongoose");
+const csv = require("csv-parser");
+const moment = require("moment");
+const { Readable } = require("stream");
+
+const billsModel = require("../models/billsModel");
+const Account = require("../models/accountModel");
+const Category = require("../models/categoryModel");
+const ExchangeRate = require("../models/exchangeRateModel");
+const usersModel = require("../models/usersModel");
+const { withTransaction } = require("../utils/transaction");
+const { toCents, fromCents, roundMoney } = require("../utils/money");
+const historyService = require("./historyService");
+
+const DEFAULT_CURRENCY = "BRL";
+const BATCH_SIZE = 500;
+
+const normalizeCode = (code) => (code ? String(code).trim().toUpperCase() : null);
+const dayOf = (date) => moment(date).startOf("day").toDate();
+
+class CurrencyError extends Error {
+  constructor(message, statusCode = 422, details = []) {
+    super(message);
+    this.name = "CurrencyError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class CurrencyService {
+  async getBaseCurrency(userId) {
+    const user = await usersModel.findById(userId, "base_currency");
+    return (user && user.base_currency) || DEFAULT_CURRENCY;
+  }
+
+  async listRates(userId, { currency, base, startDate, endDate } = {}) {
+    const filter = { user_id: userId };
+    if (currency) filter.currency = normalizeCode(currency);
+    if (base) filter.base = normalizeCode(base);
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = dayOf(startDate);
+      if (endDate) filter.date.$lte = dayOf(endDate);
+    }
+
+    return ExchangeRate.find(filter).sort({ date: -1, currency: 1 });
+  }
+
+  // Insere ou atualiza cotações (chave: par de moedas + data)
+  async upsertRates(userId, rates = []) {
+    const isCode = (code) => /^[A-Z]{3}$/.test(normalizeCode(code));
+    const invalid = rates.filter(
+      (rate) => !isCode(rate.currency) || !isCode(rate.base) || !(rate.rate > 0) || !moment(rate.date).isValid()
+    );
+    if (invalid.length) throw new CurrencyError("Cotações inválidas", 422, invalid);
+
+    if (!rates.length) return { upserted: 0, modified: 0 };
+
+    const { upsertedCount, modifiedCount } = await ExchangeRate.bulkWrite(
+      rates.map((rate) => {
+        const key = { user_id: userId, currency: normalizeCode(rate.currency), base: normalizeCode(rate.base), date: dayOf(rate.date) };
+        return {
+          updateOne: {
+            filter: key,
+            update: { $set: { ...key, rate: Number(rate.rate) } },
+            upsert: true,
+          },
+        };
+      })
+    );
+
+    return { upserted: upsertedCount, modified: modifiedCount };
+  }
+
+  // CSV com colunas date,currency,base,rate (separador vírgula ou ponto e vírgula)
+  async importRatesCsv(userId, buffer) {
+    const content = buffer.toString("utf8");
+    const separator = content.split("\n")[0].includes(";") ? ";" : ",";
+
+    const rows = await new Promise((resolve, reject) => {
+      const result = [];
+      Readable.from([content])
+        .pipe(csv({ separator, mapHeaders: ({ header }) => header.trim().toLowerCase() }))
+        .on("data", (row) => result.push(row))
+        .on("end", () => resolve(result))
+        .on("error", reject);
+    });
+
+    const rates = rows.map((row) => ({
+      date: moment(row.date, ["YYYY-MM-DD", "DD/MM/YYYY"], true).toDate(),
+      currency: row.currency,
+      base: row.base,
+      rate: parseFloat(String(row.rate).replace(",", ".")),
+    }));
+
+    return this.upsertRates(userId, rates);
+  }
+
+  async removeRate(userId, rateId) {
+    if (!mongoose.Types.ObjectId.isValid(rateId)) return null;
+    return ExchangeRate.findOneAndDelete({ _id: rateId, user_id: userId });
+  }
+
+  // Última cotação até a data (usa o par inverso quando só ele existe)
+  async findRate(userId, currency, base, date) {
+    if (currency === base) return 1;
+
+    const day = moment(date || new Date()).endOf("day").toDate();
+    const [direct, inverse] = await Promise.all([
+      ExchangeRate.findOne({ user_id: userId, currency, base, date: { $lte: day } }).sort({ date: -1 }),
+      ExchangeRate.findOne({ user_id: userId, currency: base, base: currency, date: { $lte: day } }).sort({ date: -1 }),
+    ]);
+
+    if (direct) return direct.rate;
+    if (inverse) return 1 / inverse.rate;
+    return null;
+  }
+
+  // Reescala as divisões para o novo total (diferença de arredondamento na última linha)
+  scaleSplits(splits, fromTotal, toTotal) {
+    if (!splits || !splits.length) return splits;
+
+    const targetCents = toCents(toTotal) || 0;
+    const ratio = fromTotal ? toTotal / fromTotal : 0;
+    let allocated = 0;
+
+    return splits.map((split, index) => {
+      const plain = typeof split.toObject === "function" ? split.toObject() : { ...split };
+      const cents = index === splits.length - 1 ? targetCents - allocated : toCents(plain.amount * ratio);
+      allocated += cents;
+      return { ...plain, amount: fromCents(cents) };
+    });
+  }
+
+  // Preenche currency/original_value/exchange_rate e converte bill_value para a moeda base
+  async applyConversion(userId, bill, baseCurrency = null) {
+    const base = baseCurrency || (await this.getBaseCurrency(userId));
+    const currency = normalizeCode(bill.currency) || base;
+    const originalValue = bill.original_value !== undefined && bill.original_value !== null ? bill.original_value : bill.bill_value;
+
+    const rate = await this.findRate(userId, currency, base, bill.buy_date);
+    if (rate === null) {
+      throw new CurrencyError(`Sem cotação de ${currency} para ${base} em ${moment(bill.buy_date).format("YYYY-MM-DD")}`, 422, [
+        { currency, base, date: bill.buy_date },
+      ]);
+    }
+
+    const converted = roundMoney(originalValue * rate);
+
+    bill.currency = currency;
+    bill.original_value = originalValue;
+    bill.exchange_rate = rate;
+    bill.splits = this.scaleSplits(bill.splits, originalValue, converted);
+    bill.bill_value = converted;
+
+    return bill;
+  }
+
+  // Troca a moeda base e recalcula todas as contas, orçamentos e saldos iniciais; sem cotação para algum par,
+  // nada muda
+  async changeBaseCurrency(userId, newBase) {
+    const base = normalizeCode(newBase);
+    if (!/^[A-Z]{3}$/.test(base)) throw new CurrencyError("Moeda inválida");
+
+    const oldBase = await this.getBaseCurrency(userId);
+    if (oldBase === base) return { baseCurrency: base, billsUpdated: 0, categoriesUpdated: 0, accountsUpdated: 0 };
+
+    const bills = await billsModel.find({ user_id: userId }, null, { withDeleted: true });
+    const missing = new Map();
+    const rateCache = new Map();
+
+    const rateFor = async (currency, date) => {
+      const key = `${currency}|${moment(date).format("YYYY-MM-DD")}`;
+      if (!rateCache.has(key)) rateCache.set(key, await this.findRate(userId, currency, base, date));
+
+      const rate = rateCache.get(key);
+      if (rate === null) missing.set(key, { currency, base, date: moment(date).format("YYYY-MM-DD") });
+      return rate;
+    };
+
+    const updates = [];
+    for (const bill of bills) {
+      const currency = bill.currency || oldBase;
+      const originalValue = bill.original_value !== undefined && bill.original_value !== null ? bill.original_value : bill.bill_value;
+      const rate = await rateFor(currency, bill.buy_date || bill.createdAt);
+      if (rate === null) continue;
+
+      const converted = roundMoney(originalValue * rate);
+      updates.push({
+        updateOne: {
+          filter: { _id: bill._id },
+          update: {
+            $set: {
+              currency,
+              original_value: originalValue,
+              exchange_rate: rate,
+              bill_value: converted,
+              ...(bill.splits && bill.splits.length ? { splits: this.scaleSplits(bill.splits, bill.bill_value, converted) } : {}),
+            },
+          },
+        },
+      });
+    }
+
+    // Orçamentos e saldos iniciais das contas são convertidos pela cotação de hoje
+    const categories = await Category.find({ user_id: userId, budget: { $gt: 0 } }, null, { withDeleted: true });
+    const accounts = await Account.find({ user_id: userId, opening_balance: { $nin: [0, null] } });
+    const todayRate = categories.length || accounts.length ? await this.findRate(userId, oldBase, base, new Date()) : 1;
+    if (todayRate === null) missing.set(`${oldBase}|today`, { currency: oldBase, base, date: moment().format("YYYY-MM-DD") });
+
+    if (missing.size) {
+      throw new CurrencyError("Cotações ausentes para recalcular os valores", 422, [...missing.values()]);
+    }
+
+    await withTransaction(async (session) => {
+      const converted = { _id: { $in: updates.map((update) => update.updateOne.filter._id) } };
+      await historyService.track(
+        userId,
+        "update",
+        converted,
+        async () => {
+          for (let index = 0; index < updates.length; index += BATCH_SIZE) {
+            await billsModel.bulkWrite(updates.slice(index, index + BATCH_SIZE), { session });
+          }
+        },
+        session
+      );
+
+      if (categories.length) {
+        await Category.bulkWrite(
+          categories.map((category) => ({
+            updateOne: {
+              filter: { _id: category._id },
+              update: { $set: { budget: roundMoney(category.budget * todayRate), updated_at: new Date() } },
+            },
+          })),
+          { session }
+        );
+      }
+
+      if (accounts.length) {
+        await Account.bulkWrite(
+          accounts.map((account) => ({
+            updateOne: {
+              filter: { _id: account._id },
+              update: { $set: { opening_balance: roundMoney(account.opening_balance * todayRate) } },
+            },
+          })),
+          { session }
+        );
+      }
+
+      await usersModel.updateOne({ _id: userId }, { $set: { base_currency: base } }, { session });
+    });
+
+    return {
+      baseCurrency: base,
+      billsUpdated: updates.length,
+      categoriesUpdated: categories.length,
+      accountsUpdated: accounts.length,
+    };
+  }
+}
+
+const currencyService = new CurrencyService();
+currencyService.CurrencyError = CurrencyError;
+currencyService.DEFAULT_CURRENCY = DEFAULT_CURRENCY;
+
+module.exports = currencyService;
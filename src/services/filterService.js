@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+const billsModel = require("../models/billsModel");
+const Category = require("../models/categoryModel");
+const { parseSort } = require("../utils/billFilters");
+const { parsePagination, buildPage } = require("../utils/pagination");
+const { compileFilter } = require("../utils/filterDsl");
+const { fromCents } = require("../utils/money");
+
+// Soma só contas não canceladas do tipo informado
+const sumByType = (type) => ({
+  $sum: {
+    $cond: [{ $and: [{ $eq: ["$bill_type", type] }, { $ne: ["$status", "cancelled"] }] }, "$bill_value", 0],
+  },
+});
+
+class FilterService {
+  // Campos antigos do POST /filter (startDate, endDate, category_id, bill_type) viram regras da linguagem
+  async legacyRules(userId, body) {
+    const rules = [];
+
+    if (body.startDate && body.endDate) {
+      rules.push({ field: "buy_date", op: "between", value: [body.startDate, body.endDate] });
+    } else if (body.startDate) {
+      rules.push({ field: "buy_date", op: "gte", value: body.startDate });
+    } else if (body.endDate) {
+      rules.push({ field: "buy_date", op: "lte", value: body.endDate });
+    }
+
+    if (body.category_id) {
+      const category = mongoose.Types.ObjectId.isValid(body.category_id)
+        ? await Category.findOne({ _id: body.category_id, user_id: userId })
+        : null;
+      rules.push({ field: "bill_category", op: "eq", value: category ? category.name : body.category_id });
+    }
+
+    if (body.bill_type) rules.push({ field: "bill_type", op: "eq", value: body.bill_type });
+
+    return rules;
+  }
+
+  // Valida e executa o filtro; devolve a página de contas e os totais de tudo o que casou
+  async run(userId, body = {}) {
+    const legacy = await this.legacyRules(userId, body);
+    const where = legacy.length ? { and: [...legacy, ...(body.where ? [body.where] : [])] } : body.where;
+
+    const match = compileFilter(userId, where);
+    const { page, limit, skip } = parsePagination(body);
+    const { sort } = parseSort(body);
+
+    const [result] = await billsModel.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          data: [{ $sort: sort }, { $skip: skip }, { $limit: limit }],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                expense: sumByType("expense"),
+                income: sumByType("income"),
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const totals = result.totals[0] || { count: 0, expense: 0, income: 0 };
+    const data = await billsModel.populate(
+      result.data.map((doc) => billsModel.hydrate(doc)),
+      billsModel.CATEGORY_POPULATE
+    );
+
+    return {
+      ...buildPage({ data, total: totals.count, page, limit, useCursor: false }),
+      nextCursor: null,
+      totals: {
+        expense: fromCents(totals.expense),
+        income: fromCents(totals.income),
+        balance: fromCents(totals.income - totals.expense),
+      },
+    };
+  }
+}
+
+module.exports = new FilterService();
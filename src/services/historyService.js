@@ -0,0 +1,163 @@
+const billsModel = require("../models/billsModel");
+const BillHistory = require("../models/billHistoryModel");
+
+const IGNORED_FIELDS = ["_id", "__v", "id", "createdAt", "updatedAt", "search_text", "history_version"];
+
+// Todos os campos do schema de contas entram no histórico (campos novos são incluídos automaticamente)
+const trackedFields = () => Object.keys(billsModel.schema.paths).filter((field) => !IGNORED_FIELDS.includes(field));
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class HistoryService {
+  // Estado "plano" da conta com os campos rastreados
+  snapshot(bill) {
+    const source = typeof bill.toObject === "function" ? bill.toObject({ depopulate: true }) : bill;
+
+    return trackedFields().reduce(
+      (result, field) => {
+        if (source[field] !== undefined) result[field] = source[field];
+        return result;
+      },
+      { _id: source._id }
+    );
+  }
+
+  diff(before, after) {
+    return trackedFields()
+      .filter((field) => !isSameValue(before ? before[field] : null, after ? after[field] : null))
+      .map((field) => ({
+        field,
+        from: before ? before[field] ?? null : null,
+        to: after ? after[field] ?? null : null,
+      }));
+  }
+
+  async lastVersion(billId, session = null) {
+    const [row] = await BillHistory.aggregate([
+      { $match: { bill_id: billId } },
+      { $group: { _id: null, version: { $max: "$version" } } },
+    ]).session(session);
+
+    return row ? row.version : 0;
+  }
+
+  // Reserva a próxima versão com $inc no contador da própria conta (history_version), para edições
+  // simultâneas nunca receberem o mesmo número. Conta sem contador começa da maior versão já registrada
+  async allocateVersion(billId, session = null) {
+    const options = { returnDocument: "after", projection: { history_version: 1 }, session };
+    const increment = () =>
+      billsModel.collection.findOneAndUpdate(
+        { _id: billId, history_version: { $exists: true } },
+        { $inc: { history_version: 1 } },
+        options
+      );
+
+    const counted = await increment();
+    if (counted.value) return counted.value.history_version;
+
+    const next = (await this.lastVersion(billId, session)) + 1;
+    const seeded = await billsModel.collection.findOneAndUpdate(
+      { _id: billId, history_version: { $exists: false } },
+      { $set: { history_version: next } },
+      options
+    );
+    if (seeded.value) return next;
+
+    // Outra edição criou o contador entre as duas consultas; sem a conta (removida de vez), vale a maior versão
+    const retried = await increment();
+    return retried.value ? retried.value.history_version : next;
+  }
+
+  // Registra versões comparando o estado anterior e o posterior de cada conta
+  async recordChanges(changedBy, action, befores, afters, session = null) {
+    const afterById = new Map(afters.map((bill) => [String(bill._id), this.snapshot(bill)]));
+    const entries = [];
+
+    for (const beforeBill of befores) {
+      const before = beforeBill ? this.snapshot(beforeBill) : null;
+      const after = afterById.get(String(before._id));
+      const changes = this.diff(before, after);
+
+      if (changes.length) entries.push({ bill: after || before, changes });
+    }
+
+    return this.insertEntries(changedBy, action, entries, session);
+  }
+
+  // Registra contas recém-criadas (criação manual, importação, geração automática)
+  async recordCreated(changedBy, action, bills, session = null) {
+    const entries = bills.map((bill) => {
+      const after = this.snapshot(bill);
+      return { bill: after, changes: this.diff(null, after) };
+    });
+
+    return this.insertEntries(changedBy, action, entries, session);
+  }
+
+  async insertEntries(changedBy, action, entries, session) {
+    if (!entries.length) return [];
+
+    const versions = [];
+    for (const { bill } of entries) {
+      versions.push(await this.allocateVersion(bill._id, session));
+    }
+
+    return BillHistory.insertMany(
+      entries.map(({ bill, changes }, index) => ({
+        bill_id: bill._id,
+        user_id: bill.user_id,
+        version: versions[index],
+        action,
+        changed_by: changedBy,
+        changes,
+        snapshot: bill,
+      })),
+      { session }
+    );
+  }
+
+  // Executa `work` e registra o diff das contas que casam com o filtro
+  async track(changedBy, action, filter, work, session = null) {
+    const befores = await billsModel.find(filter, null, { withDeleted: true, session });
+    const result = await work();
+
+    if (befores.length) {
+      const afters = await billsModel.find({ _id: { $in: befores.map((bill) => bill._id) } }, null, {
+        withDeleted: true,
+        session,
+      });
+      await this.recordChanges(changedBy, action, befores, afters, session);
+    }
+
+    return result;
+  }
+
+  async list(userId, billId) {
+    return BillHistory.find({ bill_id: billId, user_id: userId }).sort({ version: -1 });
+  }
+
+  // Volta a conta ao estado registrado na versão escolhida (inclusive tirando da lixeira);
+  // `prepare(bill)` ajusta a conta antes de gravar (ex.: categorias que foram juntadas ou removidas)
+  async revert(userId, billId, version, prepare = null) {
+    const entry = await BillHistory.findOne({ bill_id: billId, user_id: userId, version });
+    if (!entry || !entry.snapshot) return null;
+
+    const bill = await billsModel.findOne({ _id: billId, user_id: userId }, null, { withDeleted: true });
+    if (!bill) return null;
+
+    const before = this.snapshot(bill);
+
+    trackedFields().forEach((field) => {
+      if (field === "user_id") return;
+      bill.set(field, entry.snapshot[field] !== undefined ? entry.snapshot[field] : undefined);
+    });
+    if (prepare) await prepare(bill);
+    await bill.save();
+
+    await this.recordChanges(userId, "revert", [before], [bill]);
+
+    return bill;
+  }
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,200 @@
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const trashService = require("./trashService");
+const historyService = require("./historyService");
+const searchService = require("./searchService");
+const accountService = require("./accountService");
+const cardStatementService = require("./cardStatementService");
+const categoryService = require("./categoryService");
+const { toCents, fromCents, sumMoney, splitCents } = require("../utils/money");
+
+class InstallmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "InstallmentError";
+    this.statusCode = statusCode;
+  }
+}
+
+class InstallmentService {
+  // Divide o valor em centavos; a diferença de arredondamento fica na última parcela
+  splitValue(total, count) {
+    return splitCents(toCents(total), count).map(fromCents);
+  }
+
+  // Gera as contas de cada parcela do plano
+  buildInstallmentBills(plan) {
+    const values = this.splitValue(plan.total_value, plan.installments_count);
+
+    return values.map((value, index) => ({
+      user_id: plan.user_id,
+      bill_name: plan.bill_name,
+      bill_category: plan.bill_category,
+      category_id: plan.category_id,
+      bill_type: plan.bill_type,
+      payment_type: plan.payment_type,
+      account_id: plan.account_id,
+      bill_value: value,
+      buy_date: moment(plan.first_date).add(index, "months").toDate(),
+      due_date: moment(plan.first_date).add(index, "months").toDate(),
+      repeat: false,
+      fixed: false,
+      installments: `${index + 1}/${plan.installments_count}`,
+      installment_plan_id: plan._id,
+      installment_number: index + 1,
+    }));
+  }
+
+  async createPlan(userId, data) {
+    await categoryService.assignCategories(userId, [data]);
+
+    const plan = await InstallmentPlan.create({
+      user_id: userId,
+      bill_name: data.bill_name,
+      bill_category: data.bill_category,
+      category_id: data.category_id,
+      bill_type: data.bill_type || "expense",
+      payment_type: data.payment_type,
+      account_id: await accountService.resolveAccountId(userId, data),
+      total_value: data.total_value,
+      installments_count: data.installments_count,
+      first_date: data.first_date,
+    });
+
+    try {
+      const bills = await billsModel.insertMany(this.buildInstallmentBills(plan));
+      await historyService.recordCreated(userId, "create", bills);
+      // No cartão, cada parcela cai em uma fatura
+      await cardStatementService.assign(userId, { installment_plan_id: plan._id });
+      return this.getPlan(userId, plan._id);
+    } catch (error) {
+      // Sem as parcelas o plano não faz sentido; parcelas já gravadas saem junto para não ficarem órfãs
+      await billsModel.deleteMany({ installment_plan_id: plan._id, user_id: userId });
+      await InstallmentPlan.deleteOne({ _id: plan._id });
+      throw error;
+    }
+  }
+
+  async getPlan(userId, planId) {
+    const plan = await InstallmentPlan.findOne({ _id: planId, user_id: userId });
+    if (!plan) return null;
+
+    const bills = await billsModel.find({ installment_plan_id: plan._id, user_id: userId }).sort({ installment_number: 1 });
+    return { plan, bills };
+  }
+
+  // Parcelas que ainda não venceram na data informada
+  async getRemainingBills(userId, planId, fromDate = new Date()) {
+    return billsModel
+      .find({ installment_plan_id: planId, user_id: userId, buy_date: { $gt: fromDate } })
+      .sort({ installment_number: 1 });
+  }
+
+  // Quitação antecipada: traz as parcelas restantes para a data do pagamento,
+  // opcionalmente redistribuindo um valor com desconto
+  async payOff(userId, planId, { paid_date, payoff_value } = {}) {
+    const plan = await InstallmentPlan.findOne({ _id: planId, user_id: userId });
+    if (!plan) return null;
+    if (plan.status !== "active") throw new InstallmentError("O parcelamento já foi quitado ou cancelado", 409);
+
+    const paidDate = paid_date ? new Date(paid_date) : new Date();
+    const remaining = await this.getRemainingBills(userId, plan._id, paidDate);
+
+    if (remaining.length) {
+      const values = payoff_value !== undefined ? this.splitValue(payoff_value, remaining.length) : remaining.map((bill) => bill.bill_value);
+      const befores = remaining.map((bill) => historyService.snapshot(bill));
+
+      await billsModel.bulkWrite(
+        remaining.map((bill, index) => ({
+          updateOne: {
+            filter: { _id: bill._id },
+            update: { $set: { buy_date: paidDate, due_date: paidDate, bill_value: values[index], status: "paid", paid_at: paidDate } },
+          },
+        }))
+      );
+
+      const afters = await billsModel.find({ _id: { $in: remaining.map((bill) => bill._id) } });
+      await historyService.recordChanges(userId, "update", befores, afters);
+      await cardStatementService.assign(userId, { _id: { $in: remaining.map((bill) => bill._id) } });
+    }
+
+    plan.status = "paid_off";
+    plan.paid_off_at = paidDate;
+    await plan.save();
+
+    return this.getPlan(userId, plan._id);
+  }
+
+  // Edita os dados das parcelas restantes (e do plano)
+  async updateRemaining(userId, planId, changes) {
+    const plan = await InstallmentPlan.findOne({ _id: planId, user_id: userId });
+    if (!plan) return null;
+
+    const now = new Date();
+    const remaining = await this.getRemainingBills(userId, plan._id, now);
+    if (changes.bill_category !== undefined) {
+      const [category] = await categoryService.assignCategories(userId, [
+        { bill_category: changes.bill_category, bill_type: changes.bill_type || plan.bill_type },
+      ]);
+      changes = { ...changes, bill_category: category.bill_category, category_id: category.category_id };
+    }
+    const fields = ["bill_name", "bill_category", "category_id", "bill_type", "payment_type"].filter((field) => changes[field] !== undefined);
+
+    const $set = {};
+    fields.forEach((field) => {
+      $set[field] = changes[field];
+      plan[field] = changes[field];
+    });
+
+    const values =
+      changes.remaining_value !== undefined && remaining.length ? this.splitValue(changes.remaining_value, remaining.length) : null;
+
+    if (remaining.length && (fields.length || values)) {
+      const befores = remaining.map((bill) => historyService.snapshot(bill));
+
+      await billsModel.bulkWrite(
+        remaining.map((bill, index) => ({
+          updateOne: {
+            filter: { _id: bill._id },
+            update: { $set: values ? { ...$set, bill_value: values[index] } : $set },
+          },
+        }))
+      );
+      if ($set.bill_name !== undefined || $set.bill_category !== undefined) {
+        await searchService.reindex({ _id: { $in: remaining.map((bill) => bill._id) } });
+      }
+
+      const afters = await billsModel.find({ _id: { $in: remaining.map((bill) => bill._id) } });
+      await historyService.recordChanges(userId, "update", befores, afters);
+    }
+
+    if (values) {
+      const paid = await billsModel.find({ installment_plan_id: plan._id, user_id: userId, buy_date: { $lte: now } });
+      plan.total_value = sumMoney([...paid.map((bill) => bill.bill_value), changes.remaining_value]);
+    }
+
+    await plan.save();
+
+    return this.getPlan(userId, plan._id);
+  }
+
+  async deletePlan(userId, planId) {
+    const plan = await InstallmentPlan.findOneAndUpdate(
+      { _id: planId, user_id: userId },
+      { $set: { deleted_at: new Date() } },
+      { new: true }
+    );
+    if (!plan) return null;
+
+    // O plano e as parcelas vão para a lixeira, como qualquer conta excluída; restaurar uma parcela traz o plano
+    const deletedBills = await trashService.trashBills(userId, { installment_plan_id: plan._id });
+    return { plan, deletedBills };
+  }
+}
+
+const installmentService = new InstallmentService();
+installmentService.InstallmentError = InstallmentError;
+
+module.exports = installmentService;
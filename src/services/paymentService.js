@@ -0,0 +1,70 @@
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const historyService = require("./historyService");
+const transferService = require("./transferService");
+const { startOfToday, dueDateCondition, statusCondition } = require("../utils/billFilters");
+const { sumMoney } = require("../utils/money");
+
+class PaymentService {
+  // Marca as contas como pagas; devolve quantas foram alteradas
+  async markPaid(userId, ids, paidAt) {
+    const filter = { _id: { $in: ids }, user_id: userId, status: { $ne: "cancelled" } };
+
+    const { matchedCount, modifiedCount } = await historyService.track(userId, "update", filter, () =>
+      billsModel.updateMany(filter, { $set: { status: "paid", paid_at: paidAt ? new Date(paidAt) : new Date() } })
+    );
+    await this.syncTransfers(userId, ids);
+
+    return { matched: matchedCount, modified: modifiedCount };
+  }
+
+  async markUnpaid(userId, ids) {
+    const filter = { _id: { $in: ids }, user_id: userId, status: { $ne: "cancelled" } };
+    await transferService.assertNotStatementPayment(userId, filter);
+
+    const { matchedCount, modifiedCount } = await historyService.track(userId, "update", filter, () =>
+      billsModel.updateMany(filter, { $set: { status: "pending" }, $unset: { paid_at: "" } })
+    );
+    await this.syncTransfers(userId, ids);
+
+    return { matched: matchedCount, modified: modifiedCount };
+  }
+
+  // Status e data de pagamento são iguais nos dois lados de uma transferência
+  async syncTransfers(userId, ids) {
+    const sides = await billsModel.find({ _id: { $in: ids }, user_id: userId, transfer_id: { $ne: null } });
+    await transferService.syncCounterparts(userId, sides);
+  }
+
+  // Contas vencidas e as que vencem nos próximos `days` dias
+  async dueSummary(userId, days = 7, now = new Date()) {
+    const today = startOfToday(now);
+    const limit = moment(today).add(days, "days").endOf("day").toDate();
+
+    const [overdue, upcoming] = await Promise.all([
+      billsModel.find({ user_id: userId, ...statusCondition("overdue", now) }).sort({ due_date: 1, buy_date: 1 }),
+      billsModel
+        .find({
+          user_id: userId,
+          status: { $in: ["pending", null] },
+          ...dueDateCondition({ $gte: today, $lte: limit }),
+        })
+        .sort({ due_date: 1, buy_date: 1 }),
+    ]);
+
+    const sum = (bills) => sumMoney(bills.map((bill) => bill.bill_value));
+
+    return {
+      days,
+      overdue,
+      upcoming,
+      totals: {
+        overdue: sum(overdue),
+        upcoming: sum(upcoming),
+      },
+    };
+  }
+}
+
+module.exports = new PaymentService();
@@ -0,0 +1,278 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const Reconciliation = require("../models/reconciliationModel");
+const { toCents } = require("../utils/money");
+const { textSimilarity } = require("../utils/search");
+const accountService = require("./accountService");
+const historyService = require("./historyService");
+const tagService = require("./tagService");
+const cardStatementService = require("./cardStatementService");
+const categoryService = require("./categoryService");
+
+const DEFAULT_WINDOW_DAYS = 3;
+const MAX_WINDOW_DAYS = 15;
+const MAX_CANDIDATES = 3;
+const DEFAULT_MIN_CONFIDENCE = 0.9;
+
+// Peso de cada critério na confiança: o valor tem de bater; data e descrição graduam
+const WEIGHTS = { amount: 0.4, date: 0.3, description: 0.3 };
+
+const ACTIONS = ["accept", "reject", "create", "ignore"];
+
+class ReconciliationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ReconciliationError";
+    this.statusCode = statusCode;
+  }
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const dayDiff = (a, b) => Math.abs(moment(a).startOf("day").diff(moment(b).startOf("day"), "days"));
+
+// No extrato uma transferência aparece como saída (despesa) ou entrada (receita)
+const sameDirection = (line, bill) =>
+  bill.bill_type === "transfer" ? (bill.transfer_direction === "in") === (line.bill_type === "income") : bill.bill_type === line.bill_type;
+
+const summary = (reconciliation) => {
+  const { lines, ...rest } = reconciliation.toJSON();
+  const counts = lines.reduce((result, line) => ({ ...result, [line.status]: (result[line.status] || 0) + 1 }), {});
+  return { ...rest, total: lines.length, counts };
+};
+
+class ReconciliationService {
+  score(line, bill, windowDays) {
+    const days = dayDiff(line.buy_date, bill.buy_date);
+    const similarity = textSimilarity(line.bill_name, bill.bill_name);
+
+    return {
+      bill_id: bill._id,
+      confidence: round(WEIGHTS.amount + WEIGHTS.date * (1 - days / (windowDays + 1)) + WEIGHTS.description * similarity),
+      date_diff_days: days,
+      similarity: round(similarity),
+    };
+  }
+
+  // Sugere contas para cada linha (mesmo valor e sentido, dentro da janela de datas, ainda não conciliadas).
+  // Cada conta é proposta para uma única linha: os pares de maior confiança são escolhidos primeiro
+  async propose(userId, lines, { windowDays, accountId }) {
+    if (!lines.length) return lines;
+
+    const times = lines.map((line) => line.buy_date.getTime());
+    const bills = await billsModel.find({
+      user_id: userId,
+      buy_date: {
+        $gte: moment(Math.min(...times)).subtract(windowDays, "days").startOf("day").toDate(),
+        $lte: moment(Math.max(...times)).add(windowDays, "days").endOf("day").toDate(),
+      },
+      bill_value: { $in: [...new Set(lines.map((line) => line.bill_value))] },
+      status: { $ne: "cancelled" },
+      reconciled_at: null,
+      ...(accountId ? { account_id: { $in: [accountId, null] } } : {}),
+    });
+
+    const scored = lines.map((line) =>
+      bills
+        .filter(
+          (bill) =>
+            toCents(bill.bill_value) === toCents(line.bill_value) &&
+            sameDirection(line, bill) &&
+            dayDiff(line.buy_date, bill.buy_date) <= windowDays
+        )
+        .map((bill) => this.score(line, bill, windowDays))
+        .sort((a, b) => b.confidence - a.confidence)
+    );
+
+    const pairs = scored
+      .flatMap((candidates, index) => candidates.map((candidate) => ({ index, candidate })))
+      .sort((a, b) => b.candidate.confidence - a.candidate.confidence);
+
+    const proposals = new Map();
+    const taken = new Set();
+    pairs.forEach(({ index, candidate }) => {
+      const billId = String(candidate.bill_id);
+      if (proposals.has(index) || taken.has(billId)) return;
+      proposals.set(index, candidate);
+      taken.add(billId);
+    });
+
+    lines.forEach((line, index) => {
+      const proposal = proposals.get(index);
+      const alternatives = scored[index].filter((candidate) => candidate !== proposal && !taken.has(String(candidate.bill_id)));
+
+      line.candidates = (proposal ? [proposal, ...alternatives] : alternatives).slice(0, MAX_CANDIDATES);
+      line.status = proposal ? "proposed" : "unmatched";
+    });
+
+    return lines;
+  }
+
+  // Abre uma sessão com as linhas válidas de um extrato importado (sem criar contas)
+  async create(userId, { filename, transactions, account_id, date_window_days }) {
+    if (!transactions.length) throw new ReconciliationError("O arquivo não tem linhas válidas para conciliar");
+
+    const accountId = account_id ? await accountService.resolveAccountId(userId, { account_id }) : undefined;
+    const windowDays = Math.min(Math.max(parseInt(date_window_days, 10) || DEFAULT_WINDOW_DAYS, 0), MAX_WINDOW_DAYS);
+
+    const lines = transactions.map((transaction, index) => ({
+      index,
+      bill_name: transaction.bill_name,
+      bill_value: transaction.bill_value,
+      bill_type: transaction.bill_type,
+      buy_date: transaction.buy_date,
+      bill_category: transaction.bill_category,
+      payment_type: transaction.payment_type,
+      tags: transaction.tags && transaction.tags.length ? transaction.tags : undefined,
+    }));
+    await this.propose(userId, lines, { windowDays, accountId });
+
+    return Reconciliation.create({ user_id: userId, filename, account_id: accountId, date_window_days: windowDays, lines });
+  }
+
+  async list(userId) {
+    const reconciliations = await Reconciliation.find({ user_id: userId }).sort({ createdAt: -1 });
+    return reconciliations.map(summary);
+  }
+
+  async get(userId, id) {
+    const reconciliation = mongoose.Types.ObjectId.isValid(id) ? await Reconciliation.findOne({ _id: id, user_id: userId }) : null;
+    if (!reconciliation) throw new ReconciliationError("Reconciliation not found", 404);
+    return reconciliation;
+  }
+
+  async getOpen(userId, id) {
+    const reconciliation = await this.get(userId, id);
+    if (reconciliation.status !== "open") throw new ReconciliationError("A conciliação já foi concluída", 409);
+    return reconciliation;
+  }
+
+  // Marca a conta como conferida; só uma linha (de qualquer sessão) pode ficar com ela
+  async markReconciled(userId, reconciliation, billId) {
+    if (!mongoose.Types.ObjectId.isValid(billId)) throw new ReconciliationError("Bill not found", 404);
+
+    const filter = { _id: billId, user_id: userId, reconciled_at: null };
+    const { modifiedCount } = await historyService.track(userId, "update", filter, () =>
+      billsModel.updateOne(filter, { $set: { reconciled_at: new Date(), reconciliation_id: reconciliation._id } })
+    );
+
+    if (!modifiedCount) {
+      const exists = await billsModel.exists({ _id: billId, user_id: userId });
+      throw exists ? new ReconciliationError("A conta já foi conciliada", 409) : new ReconciliationError("Bill not found", 404);
+    }
+  }
+
+  // Conta nova a partir da linha do extrato, já paga e conciliada
+  async createBill(userId, reconciliation, line) {
+    const [data] = await categoryService.assignCategories(userId, [
+      {
+        user_id: userId,
+        bill_name: line.bill_name,
+        bill_value: line.bill_value,
+        bill_type: line.bill_type,
+        buy_date: line.buy_date,
+        bill_category: line.bill_category,
+        payment_type: line.payment_type,
+        tags: line.tags,
+        account_id: reconciliation.account_id || (await accountService.resolveAccountId(userId, { payment_type: line.payment_type })),
+        status: "paid",
+        paid_at: line.buy_date,
+        reconciled_at: new Date(),
+        reconciliation_id: reconciliation._id,
+      },
+    ]);
+    const bill = await billsModel.create(data);
+
+    await historyService.recordCreated(userId, "import", [bill]);
+    await tagService.ensureTags(userId, bill.tags);
+    await cardStatementService.assign(userId, { _id: bill._id });
+
+    return bill;
+  }
+
+  async applyDecision(userId, reconciliation, line, { action, bill_id }) {
+    if (!ACTIONS.includes(action)) throw new ReconciliationError(`Ação inválida (use ${ACTIONS.join(", ")})`);
+    if (["matched", "created"].includes(line.status)) throw new ReconciliationError("A linha já foi conciliada", 409);
+
+    if (action === "accept") {
+      const billId = bill_id || (line.candidates[0] && line.candidates[0].bill_id);
+      if (!billId) throw new ReconciliationError("A linha não tem sugestão; informe bill_id ou crie uma conta");
+
+      await this.markReconciled(userId, reconciliation, billId);
+      line.set({ status: "matched", bill_id: billId });
+
+      // A conta deixa de ser sugestão para as outras linhas
+      reconciliation.lines
+        .filter((other) => other !== line && ["proposed", "unmatched"].includes(other.status))
+        .forEach((other) => {
+          other.candidates = other.candidates.filter((candidate) => String(candidate.bill_id) !== String(billId));
+          other.status = other.candidates.length ? "proposed" : "unmatched";
+        });
+      return;
+    }
+
+    if (action === "reject") {
+      const rejected = bill_id || (line.candidates[0] && line.candidates[0].bill_id);
+      line.candidates = line.candidates.filter((candidate) => String(candidate.bill_id) !== String(rejected));
+      line.status = line.candidates.length ? "proposed" : "unmatched";
+      return;
+    }
+
+    if (action === "create") {
+      const bill = await this.createBill(userId, reconciliation, line);
+      line.set({ status: "created", bill_id: bill._id });
+      return;
+    }
+
+    line.status = "ignored";
+  }
+
+  async decide(userId, id, index, decision) {
+    const reconciliation = await this.getOpen(userId, id);
+    const line = reconciliation.lines.find((item) => item.index === index);
+    if (!line) throw new ReconciliationError("Line not found", 404);
+
+    await this.applyDecision(userId, reconciliation, line, decision);
+    await reconciliation.save();
+
+    return line;
+  }
+
+  // Aceita de uma vez as sugestões com confiança mínima
+  async acceptAll(userId, id, minConfidence = DEFAULT_MIN_CONFIDENCE) {
+    const reconciliation = await this.getOpen(userId, id);
+    const results = { accepted: 0, skipped: 0 };
+
+    for (const line of reconciliation.lines) {
+      const [best] = line.status === "proposed" ? line.candidates : [];
+      if (!best || best.confidence < minConfidence) continue;
+
+      try {
+        await this.applyDecision(userId, reconciliation, line, { action: "accept" });
+        results.accepted += 1;
+      } catch (error) {
+        if (!(error instanceof ReconciliationError)) throw error;
+        results.skipped += 1;
+      }
+    }
+
+    await reconciliation.save();
+    return { ...results, reconciliation };
+  }
+
+  async complete(userId, id) {
+    const reconciliation = await this.getOpen(userId, id);
+    reconciliation.set({ status: "completed", completed_at: new Date() });
+    await reconciliation.save();
+
+    return summary(reconciliation);
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+reconciliationService.ReconciliationError = ReconciliationError;
+reconciliationService.ACTIONS = ACTIONS;
+
+module.exports = reconciliationService;
@@ -0,0 +1,77 @@
+const billsModel = require("../models/billsModel");
+const reconciliationService = require("./reconciliationService");
+
+const line = (fields = {}) => ({
+  bill_name: "Padaria Pão Quente",
+  bill_value: 25.9,
+  bill_type: "expense",
+  buy_date: new Date(2024, 2, 10),
+  ...fields,
+});
+const bill = (_id, fields = {}) => ({ _id, ...line(fields) });
+
+describe("score", () => {
+  test("mesmo dia e mesma descrição dão confiança 1", () => {
+    expect(reconciliationService.score(line(), bill("a"), 3)).toEqual({ bill_id: "a", confidence: 1, date_diff_days: 0, similarity: 1 });
+  });
+
+  test("a confiança cai com a distância em dias, sem chegar a zero no fim da janela", () => {
+    const scores = [0, 1, 2, 3].map((days) => reconciliationService.score(line(), bill("a", { buy_date: new Date(2024, 2, 10 + days) }), 3));
+
+    expect(scores.map(({ date_diff_days }) => date_diff_days)).toEqual([0, 1, 2, 3]);
+    expect(scores.map(({ confidence }) => confidence)).toEqual([1, 0.93, 0.85, 0.78]);
+  });
+
+  test("dias contam pela data, não pela hora", () => {
+    const late = line({ buy_date: new Date(2024, 2, 10, 23, 59) });
+    const score = reconciliationService.score(late, bill("a", { buy_date: new Date(2024, 2, 11, 0, 1) }), 3);
+
+    expect(score.date_diff_days).toBe(1);
+  });
+
+  test("descrição sem nada em comum fica só com valor e data", () => {
+    const score = reconciliationService.score(line({ bill_name: "XYZ" }), bill("a"), 3);
+    expect(score).toMatchObject({ confidence: 0.7, similarity: 0 });
+  });
+});
+
+describe("propose", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const propose = (lines, bills, windowDays = 3) => {
+    jest.spyOn(billsModel, "find").mockResolvedValue(bills);
+    return reconciliationService.propose("507f1f77bcf86cd799439011", lines, { windowDays });
+  };
+
+  test("só valor e sentido iguais dentro da janela viram candidatos", async () => {
+    const [result] = await propose(
+      [line()],
+      [
+        bill("same"),
+        bill("other-value", { bill_value: 25.91 }),
+        bill("income", { bill_type: "income" }),
+        bill("far", { buy_date: new Date(2024, 2, 14) }),
+        bill("transfer-out", { bill_type: "transfer", transfer_direction: "out", buy_date: new Date(2024, 2, 11) }),
+      ]
+    );
+
+    expect(result.status).toBe("proposed");
+    expect(result.candidates.map(({ bill_id }) => bill_id)).toEqual(["same", "transfer-out"]);
+  });
+
+  test("cada conta vai para uma única linha, a de maior confiança", async () => {
+    const lines = [line({ buy_date: new Date(2024, 2, 12) }), line()];
+    const [first, second] = await propose(lines, [bill("a"), bill("b", { buy_date: new Date(2024, 2, 12), bill_name: "Outra loja" })]);
+
+    // "a" casa melhor com a segunda linha (mesmo dia e descrição); a primeira fica com "b"
+    expect(second.candidates[0].bill_id).toBe("a");
+    expect(first.candidates[0].bill_id).toBe("b");
+    expect(first.candidates.map(({ bill_id }) => bill_id)).not.toContain("a");
+  });
+
+  test("sem candidatos a linha fica sem par", async () => {
+    const [result] = await propose([line()], [bill("a", { bill_value: 10 })]);
+
+    expect(result).toMatchObject({ status: "unmatched", candidates: [] });
+  });
+});
@@ -0,0 +1,415 @@
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const historyService = require("./historyService");
+const searchService = require("./searchService");
+const cardStatementService = require("./cardStatementService");
+const trashService = require("./trashService");
+const currencyService = require("./currencyService");
+const { toCents, fromCents, scaleCents } = require("../utils/money");
+
+const MAX_OCCURRENCES = 5000;
+const UNITS = { weekly: "weeks", monthly: "months", yearly: "years" };
+
+// Campos copiados da conta que carrega a regra para cada ocorrência
+const SERIES_FIELDS = [
+  "bill_name",
+  "bill_category",
+  "category_id",
+  "bill_type",
+  "bill_value",
+  "payment_type",
+  "account_id",
+  "fixed",
+  "repeat",
+  "splits",
+  "tags",
+  "currency",
+  "original_value",
+  "exchange_rate",
+];
+
+const SEARCH_FIELDS = ["bill_name", "bill_category", "splits"];
+
+// Campos do valor: numa edição, recalculados pela cotação em vez de copiados como vieram
+const CONVERSION_FIELDS = ["currency", "original_value", "bill_value"];
+
+const pick = (source, fields) =>
+  fields.reduce((result, field) => {
+    if (source[field] !== undefined) result[field] = source[field];
+    return result;
+  }, {});
+
+// Campos para uma conta da série: mudando o valor ou as divisões, as divisões dela são refeitas na
+// proporção para somar o valor
+const fitSplits = (fields, bill) => {
+  if (fields.bill_value === undefined && fields.splits === undefined) return fields;
+
+  const source = typeof bill.toObject === "function" ? bill.toObject() : bill;
+  const splits = fields.splits !== undefined ? fields.splits : source.splits;
+  if (!splits || !splits.length) return fields;
+
+  const value = fields.bill_value !== undefined ? fields.bill_value : source.bill_value;
+  const amounts = scaleCents(splits.map((split) => toCents(split.amount)), toCents(value));
+  return { ...fields, splits: splits.map((split, index) => ({ ...split, amount: fromCents(amounts[index]) })) };
+};
+
+const parseInstallments = (installments) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(installments || "").trim());
+  return match ? { current: parseInt(match[1], 10), total: parseInt(match[2], 10) } : null;
+};
+
+class RecurrenceService {
+  normalizeRule(rule, startDate) {
+    if (!rule || !rule.frequency) return null;
+
+    const normalized = {
+      frequency: rule.frequency,
+      interval: Math.max(parseInt(rule.interval, 10) || 1, 1),
+    };
+
+    if (rule.frequency === "monthly") {
+      normalized.day_of_month = rule.day_of_month || moment(startDate).date();
+    }
+    if (rule.end_date) normalized.end_date = new Date(rule.end_date);
+    if (rule.count) normalized.count = rule.count;
+
+    return normalized;
+  }
+
+  // Regra implícita para contas criadas do jeito antigo (fixed / repeat com "3/10")
+  ruleForLegacyBill(bill) {
+    const parcel = bill.repeat ? parseInstallments(bill.installments) : null;
+
+    if (parcel) {
+      return this.normalizeRule({ frequency: "monthly", count: Math.max(parcel.total - parcel.current + 1, 1) }, bill.buy_date);
+    }
+    if (bill.fixed) {
+      return this.normalizeRule({ frequency: "monthly" }, bill.buy_date);
+    }
+
+    return null;
+  }
+
+  ruleForNewBill(bill) {
+    if (bill.recurrence) return this.normalizeRule(bill.recurrence, bill.buy_date);
+    return this.ruleForLegacyBill(bill);
+  }
+
+  // Data da ocorrência `index` (a ocorrência 0 é a própria conta que carrega a regra)
+  occurrenceDate(rule, startDate, index) {
+    const date = moment(startDate).add(index * (rule.interval || 1), UNITS[rule.frequency]);
+
+    if (rule.frequency === "monthly" && rule.day_of_month) {
+      date.date(Math.min(rule.day_of_month, date.daysInMonth()));
+    }
+
+    return date.toDate();
+  }
+
+  occurrencesBetween(rule, startDate, from, to) {
+    const occurrences = [];
+
+    for (let index = 1; index < MAX_OCCURRENCES; index++) {
+      if (rule.count && index >= rule.count) break;
+
+      const date = this.occurrenceDate(rule, startDate, index);
+      if (date > to || (rule.end_date && date > rule.end_date)) break;
+
+      if (date >= from) occurrences.push({ index, date });
+    }
+
+    return occurrences;
+  }
+
+  // Ocorrência em outra moeda: convertida pela cotação da data dela (sem cotação, fica o valor da conta que
+  // carrega a regra)
+  async convertOccurrence(userId, occurrence, baseCurrency) {
+    if (!occurrence.currency || occurrence.currency === baseCurrency) return occurrence;
+
+    try {
+      return await currencyService.applyConversion(userId, occurrence, baseCurrency);
+    } catch (error) {
+      if (!(error instanceof currencyService.CurrencyError)) throw error;
+      return occurrence;
+    }
+  }
+
+  // Valor ou moeda alterados na edição: converte uma vez, pela data da conta editada, como o PUT /bills/:id.
+  // Um bill_value novo (sem original_value) passa a ser o valor na moeda original
+  async convertFields(userId, bill, changes) {
+    const fields = pick(changes, SERIES_FIELDS.filter((field) => field !== "exchange_rate"));
+    if (!CONVERSION_FIELDS.some((field) => fields[field] !== undefined)) return fields;
+
+    const source = bill.toObject();
+    const originalValue = [fields.original_value, fields.bill_value, source.original_value].find((value) => value !== undefined);
+    const converted = await currencyService.applyConversion(userId, {
+      currency: fields.currency !== undefined ? fields.currency : source.currency,
+      original_value: originalValue,
+      bill_value: fields.bill_value !== undefined ? fields.bill_value : source.bill_value,
+      buy_date: changes.buy_date || bill.buy_date,
+    });
+
+    return { ...fields, ...pick(converted, [...CONVERSION_FIELDS, "exchange_rate"]) };
+  }
+
+  buildOccurrence(template, { index, date }) {
+    // Copia a partir do objeto em reais: subdocumentos (splits) copiados direto teriam os centavos convertidos de novo
+    const source = typeof template.toObject === "function" ? template.toObject() : template;
+    const occurrence = {
+      ...pick(source, SERIES_FIELDS),
+      user_id: template.user_id,
+      buy_date: date,
+      series_id: template._id,
+      occurrence_index: index,
+      occurrence_date: date,
+    };
+
+    const parcel = template.repeat ? parseInstallments(template.installments) : null;
+    occurrence.installments = parcel ? `${parcel.current + index}/${parcel.total}` : template.installments;
+
+    return occurrence;
+  }
+
+  // Converte contas fixas/repetidas antigas (sem regra) em séries: a mais recente
+  // de cada grupo passa a carregar a regra e as anteriores ficam ligadas a ela
+  async adoptLegacyBills(userId) {
+    const legacy = await billsModel
+      .find({
+        user_id: userId,
+        $or: [{ fixed: true }, { repeat: true }],
+        recurrence: null,
+        series_id: null,
+        installment_plan_id: null,
+      })
+      .sort({ buy_date: -1 });
+
+    const groups = new Map();
+    for (const bill of legacy) {
+      const key = [bill.bill_name, bill.bill_category, bill.bill_type, bill.payment_type].join("|");
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(bill);
+    }
+
+    for (const [, bills] of groups) {
+      const [template, ...older] = bills;
+
+      template.recurrence = this.ruleForLegacyBill(template);
+      if (!template.recurrence) continue;
+      await template.save();
+
+      if (older.length) {
+        await billsModel.updateMany({ _id: { $in: older.map((bill) => bill._id) } }, { $set: { series_id: template._id } });
+      }
+    }
+  }
+
+  // Gera as ocorrências do mês informado (month de 1 a 12); ocorrências existentes são puladas
+  async materializeMonth(userId, month, year) {
+    const from = moment({ year, month: month - 1, day: 1 }).startOf("month").toDate();
+    const to = moment(from).endOf("month").toDate();
+
+    await this.adoptLegacyBills(userId);
+
+    const templates = await billsModel.find({
+      user_id: userId,
+      recurrence: { $ne: null },
+      series_id: null,
+      buy_date: { $lte: to },
+    });
+
+    const created = [];
+    let skipped = 0;
+    const baseCurrency = templates.length ? await currencyService.getBaseCurrency(userId) : null;
+
+    for (const template of templates) {
+      const occurrences = this.occurrencesBetween(template.recurrence, template.buy_date, from, to);
+      if (!occurrences.length) continue;
+
+      const existing = await billsModel.find(
+        { series_id: template._id, occurrence_date: { $in: occurrences.map((occurrence) => occurrence.date) } },
+        "occurrence_date",
+        // Ocorrências na lixeira também contam: excluir não deve fazê-las voltar
+        { withDeleted: true }
+      );
+      const existingTimes = new Set(existing.map((bill) => bill.occurrence_date.getTime()));
+      const pending = occurrences.filter((occurrence) => !existingTimes.has(occurrence.date.getTime()));
+
+      skipped += occurrences.length - pending.length;
+      if (!pending.length) continue;
+
+      try {
+        const built = [];
+        for (const occurrence of pending) {
+          built.push(await this.convertOccurrence(userId, this.buildOccurrence(template, occurrence), baseCurrency));
+        }
+        const docs = await billsModel.insertMany(built, { ordered: false });
+        created.push(...docs);
+        await historyService.recordCreated(userId, "create", docs);
+      } catch (error) {
+        // Requisição concorrente já criou a ocorrência (índice único series_id + occurrence_date)
+        if (error.code !== 11000) throw error;
+
+        const inserted = error.insertedDocs || [];
+        created.push(...inserted);
+        await historyService.recordCreated(userId, "create", inserted);
+        skipped += pending.length - inserted.length;
+      }
+    }
+
+    await cardStatementService.assign(userId, { _id: { $in: created.map((bill) => bill._id) } });
+
+    return { created, skipped };
+  }
+
+  // Edita uma ocorrência: só ela ("this"), ela e as próximas ("future") ou a série inteira ("all")
+  async updateSeries(userId, billId, scope, changes) {
+    const bill = await billsModel.findOne({ _id: billId, user_id: userId });
+    if (!bill) return null;
+
+    const rootId = bill.series_id || bill._id;
+    const seriesFilter = { user_id: userId, $or: [{ _id: rootId }, { series_id: rootId }] };
+
+    const result = await historyService.track(userId, "update", seriesFilter, () =>
+      this.applySeriesUpdate(userId, billId, scope, changes)
+    );
+    if (!result || !result.obsolete) return result;
+
+    // Ocorrências que a nova regra substitui vão para a lixeira, como qualquer conta excluída
+    const { obsolete, ...rest } = result;
+    const removed = obsolete.length ? await trashService.trashBills(userId, { _id: { $in: obsolete } }) : 0;
+    return { ...rest, removed };
+  }
+
+  // Ocorrências ainda pendentes depois de hoje (e de `after`) saem da série, para a nova regra gerar as
+  // suas; as pagas e as passadas ficam. Devolve os ids, que o updateSeries manda para a lixeira
+  async detachUpcoming(userId, seriesId, after = null) {
+    const endOfToday = moment().endOf("day").toDate();
+    const from = after && after > endOfToday ? after : endOfToday;
+
+    const upcoming = await billsModel.find(
+      { series_id: seriesId, user_id: userId, occurrence_date: { $gt: from }, status: { $in: ["pending", null] } },
+      "_id"
+    );
+    const ids = upcoming.map((occurrence) => occurrence._id);
+
+    if (ids.length) {
+      await billsModel.updateMany({ _id: { $in: ids } }, { $unset: { series_id: "", occurrence_index: "", occurrence_date: "" } });
+    }
+    return ids;
+  }
+
+  // Aplica os campos às ocorrências do filtro, refazendo as divisões de cada uma para o valor dela
+  async updateMembers(filter, fields) {
+    if (!Object.keys(fields).length) return 0;
+    if (fields.bill_value === undefined && fields.splits === undefined) {
+      return (await billsModel.updateMany(filter, { $set: fields })).modifiedCount;
+    }
+
+    const members = await billsModel.find(filter);
+    if (members.length) {
+      await billsModel.bulkWrite(
+        members.map((member) => ({ updateOne: { filter: { _id: member._id }, update: { $set: fitSplits(fields, member) } } }))
+      );
+    }
+    return members.length;
+  }
+
+  async applySeriesUpdate(userId, billId, scope, changes) {
+    const bill = await billsModel.findOne({ _id: billId, user_id: userId });
+    if (!bill) return null;
+
+    const root = bill.series_id ? await billsModel.findOne({ _id: bill.series_id, user_id: userId }) : bill;
+    const fields = await this.convertFields(userId, bill, changes);
+    const ruleChanged = changes.recurrence !== undefined;
+
+    // Divisões enviadas valem como estão (o model confere a soma); sem elas, as da conta acompanham o valor
+    const assignFields = (target) => Object.assign(target, fields.splits !== undefined ? fields : fitSplits(fields, target));
+
+    if (scope === "this" || !root || !root.recurrence) {
+      assignFields(bill);
+      if (changes.buy_date) bill.buy_date = changes.buy_date;
+      if (ruleChanged && bill === root) bill.recurrence = this.normalizeRule(changes.recurrence, bill.buy_date);
+      await bill.save();
+
+      return { bill, updated: 1 };
+    }
+
+    // Contas antigas ligadas à série (ver adoptLegacyBills) não têm posição nela e são anteriores à que carrega
+    // a regra: "future" vale para ela, as antigas mais novas e a série inteira, sem dividir a regra
+    const legacy = scope === "future" && bill !== root && !Number.isInteger(bill.occurrence_index);
+
+    if (scope === "all" || bill === root || legacy) {
+      const membersFilter = { series_id: root._id, user_id: userId, ...(legacy && { buy_date: { $gte: bill.buy_date } }) };
+
+      assignFields(root);
+      if (ruleChanged) root.recurrence = this.normalizeRule(changes.recurrence, root.buy_date);
+      await root.save();
+
+      const obsolete = ruleChanged ? await this.detachUpcoming(userId, root._id) : null;
+      const modified = await this.updateMembers(membersFilter, fields);
+      if (SEARCH_FIELDS.some((field) => fields[field] !== undefined)) {
+        await searchService.reindex(membersFilter);
+      }
+
+      return { bill: root, updated: modified + 1, removed: 0, ...(obsolete && { obsolete }) };
+    }
+
+    // "future": encerra a série antiga antes desta ocorrência e inicia uma nova a partir dela
+    const splitIndex = bill.occurrence_index;
+    const splitDate = bill.occurrence_date;
+    const previousRule = root.recurrence.toObject();
+
+    root.recurrence.end_date = moment(splitDate).subtract(1, "day").endOf("day").toDate();
+    if (root.recurrence.count) root.recurrence.count = splitIndex;
+    await root.save();
+
+    // Nova data: a série nova começa nela e as próximas ocorrências andam junto
+    const previousDate = bill.buy_date;
+    const dateChanged = !!changes.buy_date && new Date(changes.buy_date).getTime() !== previousDate.getTime();
+
+    assignFields(bill);
+    if (dateChanged) {
+      bill.buy_date = changes.buy_date;
+      if (bill.due_date) bill.due_date = new Date(bill.due_date.getTime() + (bill.buy_date - previousDate));
+    }
+    const count = previousRule.count ? Math.max(previousRule.count - splitIndex, 1) : undefined;
+    bill.recurrence = ruleChanged
+      ? this.normalizeRule(changes.recurrence, bill.buy_date)
+      : dateChanged
+        ? this.normalizeRule({ ...previousRule, day_of_month: undefined, count }, bill.buy_date)
+        : { ...previousRule, count };
+    bill.series_id = undefined;
+    bill.occurrence_index = undefined;
+    bill.occurrence_date = undefined;
+    await bill.save();
+
+    const obsolete = ruleChanged ? await this.detachUpcoming(userId, root._id, splitDate) : null;
+
+    // As que ficam (todas, ou as pagas e passadas quando a regra muda) passam para a série nova
+    const future = await billsModel.find({ series_id: root._id, user_id: userId, occurrence_date: { $gt: splitDate } });
+    if (future.length) {
+      await billsModel.bulkWrite(
+        future.map((occurrence) => {
+          const index = occurrence.occurrence_index - splitIndex;
+          const update = { ...fitSplits(fields, occurrence), series_id: bill._id, occurrence_index: index };
+
+          if (dateChanged && !ruleChanged) {
+            const date = this.occurrenceDate(bill.recurrence, bill.buy_date, index);
+            Object.assign(update, { buy_date: date, occurrence_date: date });
+            if (occurrence.due_date) update.due_date = new Date(occurrence.due_date.getTime() + (date - occurrence.buy_date));
+          }
+
+          return { updateOne: { filter: { _id: occurrence._id }, update: { $set: update } } };
+        })
+      );
+      if (SEARCH_FIELDS.some((field) => fields[field] !== undefined)) {
+        await searchService.reindex({ series_id: bill._id, user_id: userId });
+      }
+    }
+
+    return { bill, updated: future.length + 1, removed: 0, ...(obsolete && { obsolete }) };
+  }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,76 @@
+const recurrenceService = require("./recurrenceService");
+
+const monthly = (startDate, rule = {}) => recurrenceService.normalizeRule({ frequency: "monthly", ...rule }, startDate);
+
+describe("occurrenceDate", () => {
+  test("mensal no dia 31 fica no último dia dos meses mais curtos", () => {
+    const start = new Date(2024, 0, 31);
+    const rule = monthly(start);
+
+    expect(recurrenceService.occurrenceDate(rule, start, 1)).toEqual(new Date(2024, 1, 29));
+    expect(recurrenceService.occurrenceDate(rule, start, 2)).toEqual(new Date(2024, 2, 31));
+    expect(recurrenceService.occurrenceDate(rule, start, 3)).toEqual(new Date(2024, 3, 30));
+    expect(recurrenceService.occurrenceDate(rule, start, 13)).toEqual(new Date(2025, 1, 28));
+  });
+
+  test("day_of_month explícito vale mesmo começando em outro dia", () => {
+    const start = new Date(2024, 0, 10);
+
+    expect(recurrenceService.occurrenceDate(monthly(start, { day_of_month: 30 }), start, 1)).toEqual(new Date(2024, 1, 29));
+  });
+
+  test("intervalo multiplica o passo", () => {
+    const start = new Date(2024, 0, 1);
+
+    expect(recurrenceService.occurrenceDate(monthly(start, { interval: 3 }), start, 2)).toEqual(new Date(2024, 6, 1));
+    expect(recurrenceService.occurrenceDate({ frequency: "weekly", interval: 2 }, start, 1)).toEqual(new Date(2024, 0, 15));
+  });
+
+  test("anual em 29 de fevereiro cai em 28 nos anos não bissextos", () => {
+    expect(recurrenceService.occurrenceDate({ frequency: "yearly" }, new Date(2024, 1, 29), 1)).toEqual(new Date(2025, 1, 28));
+  });
+});
+
+describe("occurrencesBetween", () => {
+  const start = new Date(2024, 0, 31);
+
+  test("só as ocorrências dentro do período, sem a própria conta (índice 0)", () => {
+    const occurrences = recurrenceService.occurrencesBetween(monthly(start), start, new Date(2024, 0, 1), new Date(2024, 3, 30));
+
+    expect(occurrences).toEqual([
+      { index: 1, date: new Date(2024, 1, 29) },
+      { index: 2, date: new Date(2024, 2, 31) },
+      { index: 3, date: new Date(2024, 3, 30) },
+    ]);
+  });
+
+  test("count conta a própria conta", () => {
+    const occurrences = recurrenceService.occurrencesBetween(monthly(start, { count: 3 }), start, start, new Date(2025, 0, 1));
+
+    expect(occurrences.map(({ index }) => index)).toEqual([1, 2]);
+  });
+
+  test("para em end_date", () => {
+    const rule = monthly(start, { end_date: new Date(2024, 2, 30) });
+
+    expect(recurrenceService.occurrencesBetween(rule, start, start, new Date(2025, 0, 1))).toEqual([
+      { index: 1, date: new Date(2024, 1, 29) },
+    ]);
+  });
+});
+
+describe("normalizeRule", () => {
+  test("sem frequência não há regra", () => {
+    expect(recurrenceService.normalizeRule({}, new Date())).toBeNull();
+  });
+
+  test("mensal guarda o dia da data inicial e intervalo mínimo 1", () => {
+    expect(monthly(new Date(2024, 0, 31), { interval: 0 })).toEqual({ frequency: "monthly", interval: 1, day_of_month: 31 });
+  });
+
+  test("parcelas antigas (3/10) viram uma regra com as que faltam", () => {
+    const rule = recurrenceService.ruleForLegacyBill({ repeat: true, installments: "3/10", buy_date: new Date(2024, 0, 5) });
+
+    expect(rule).toEqual({ frequency: "monthly", interval: 1, day_of_month: 5, count: 8 });
+  });
+});
@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+const billsModel = require("../models/billsModel");
+const Category = require("../models/categoryModel");
+const { parseDate } = require("../utils/billFilters");
+const { categoryLinesStages, excludeTransfers } = require("../utils/billAggregations");
+const { toCents, fromCents } = require("../utils/money");
+
+const round = (value) => Math.round((value || 0) * 100) / 100;
+
+class ReportService {
+  // Período informado ou, por padrão, o mês corrente
+  resolvePeriod({ startDate, endDate } = {}) {
+    return {
+      start: parseDate(startDate) || moment().startOf("month").toDate(),
+      end: parseDate(endDate, true) || moment().endOf("month").toDate(),
+    };
+  }
+
+  // Totais por categoria contando as divisões de cada conta, com o orçamento de cada categoria.
+  // Os totais da subcategoria somam também na categoria pai (own traz só os lançamentos da própria)
+  // (a agregação soma centavos; o resultado sai em reais)
+  async categoryReport(userId, query = {}) {
+    const { start, end } = this.resolvePeriod(query);
+
+    const rows = await billsModel.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(userId),
+          buy_date: { $gte: start, $lte: end },
+          status: { $ne: "cancelled" },
+          ...excludeTransfers(),
+        },
+      },
+      ...categoryLinesStages(),
+      {
+        $group: {
+          _id: "$line_category",
+          expense: { $sum: { $cond: [{ $eq: ["$bill_type", "expense"] }, "$line_amount", 0] } },
+          income: { $sum: { $cond: [{ $eq: ["$bill_type", "income"] }, "$line_amount", 0] } },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const categories = await Category.find({ user_id: userId });
+    const byName = new Map(categories.map((category) => [category.name, category]));
+    const byId = new Map(categories.map((category) => [String(category._id), category]));
+
+    const empty = () => ({ expense: 0, income: 0, count: 0 });
+    const entries = new Map();
+    const entryFor = (key, category, name) => {
+      if (!entries.has(key)) entries.set(key, { name, category, total: empty(), own: empty() });
+      return entries.get(key);
+    };
+    const add = (totals, row) => {
+      totals.expense += row.expense;
+      totals.income += row.income;
+      totals.count += row.count;
+    };
+
+    rows.forEach((row) => {
+      const category = byName.get(row._id);
+      const entry = entryFor(category ? String(category._id) : `name:${row._id}`, category, row._id || null);
+      add(entry.own, row);
+      add(entry.total, row);
+
+      // Sobe pelos ancestrais (a árvore tem no máximo MAX_DEPTH níveis)
+      let parent = category && category.parent_id && byId.get(String(category.parent_id));
+      for (let level = 1; parent && level < Category.MAX_DEPTH; level++) {
+        add(entryFor(String(parent._id), parent, parent.name).total, row);
+        parent = parent.parent_id && byId.get(String(parent.parent_id));
+      }
+    });
+
+    // Categorias com orçamento e sem gastos no período também aparecem
+    categories.filter((category) => category.budget).forEach((category) => entryFor(String(category._id), category, category.name));
+
+    const report = [...entries.values()].map(({ name, category, total, own }) => {
+      const budget = category && category.budget ? category.budget : null;
+
+      return {
+        category: name,
+        category_id: category ? category._id : null,
+        parent_id: category ? category.parent_id || null : null,
+        color: category ? category.color : null,
+        icon: category ? category.icon : null,
+        expense: fromCents(total.expense),
+        income: fromCents(total.income),
+        count: total.count,
+        own: { expense: fromCents(own.expense), income: fromCents(own.income), count: own.count },
+        budget,
+        remaining: budget !== null ? fromCents(toCents(budget) - total.expense) : null,
+        budgetUsage: budget ? round((total.expense / toCents(budget)) * 100) : null,
+      };
+    });
+
+    return { startDate: start, endDate: end, categories: report.sort((a, b) => b.expense - a.expense) };
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+const SavedView = require("../models/savedViewModel");
+const filterService = require("./filterService");
+const { compileFilter } = require("../utils/filterDsl");
+
+const EDITABLE_FIELDS = ["name", "icon", "filter", "sortBy", "orderBy"];
+
+class SavedViewError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SavedViewError";
+    this.statusCode = statusCode;
+  }
+}
+
+class SavedViewService {
+  async list(userId) {
+    return SavedView.find({ user_id: userId }).sort({ name: 1 });
+  }
+
+  async get(userId, viewId) {
+    const view = mongoose.Types.ObjectId.isValid(viewId) ? await SavedView.findOne({ _id: viewId, user_id: userId }) : null;
+    if (!view) throw new SavedViewError("Saved view not found", 404);
+    return view;
+  }
+
+  // O filtro é validado ao salvar (compilar lança FilterDslError) para não guardar visões quebradas
+  async save(userId, view, changes) {
+    EDITABLE_FIELDS.filter((field) => changes[field] !== undefined).forEach((field) => {
+      view[field] = changes[field];
+    });
+    compileFilter(userId, view.filter);
+
+    if (await SavedView.exists({ user_id: userId, name: view.name, _id: { $ne: view._id } })) {
+      throw new SavedViewError("Já existe uma visão com esse nome.", 409);
+    }
+
+    view.markModified("filter");
+    return view.save();
+  }
+
+  async create(userId, data) {
+    return this.save(userId, new SavedView({ user_id: userId }), data);
+  }
+
+  async update(userId, viewId, changes) {
+    return this.save(userId, await this.get(userId, viewId), changes);
+  }
+
+  async remove(userId, viewId) {
+    const view = mongoose.Types.ObjectId.isValid(viewId)
+      ? await SavedView.findOneAndDelete({ _id: viewId, user_id: userId })
+      : null;
+    if (!view) throw new SavedViewError("Saved view not found", 404);
+    return view;
+  }
+
+  // Executa a visão agora (datas relativas resolvidas neste momento) com as contas e os totais
+  async run(userId, viewId, { page, limit } = {}) {
+    const view = await this.get(userId, viewId);
+    const result = await filterService.run(userId, {
+      where: view.filter || undefined,
+      sortBy: view.sortBy,
+      orderBy: view.orderBy,
+      page,
+      limit,
+    });
+
+    return { view, ...result };
+  }
+}
+
+const savedViewService = new SavedViewService();
+savedViewService.SavedViewError = SavedViewError;
+
+module.exports = savedViewService;
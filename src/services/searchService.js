@@ -0,0 +1,73 @@
+const billsModel = require("../models/billsModel");
+const { buildBillFilter } = require("../utils/billFilters");
+const { parsePagination, buildPage } = require("../utils/pagination");
+const { tokenize, termPattern, buildSearchText, scoreBill } = require("../utils/search");
+
+const BATCH_SIZE = 500;
+
+// Campos lidos para ranquear cada conta encontrada; a conta inteira só é carregada para a página pedida
+const SCORE_FIELDS = "bill_name bill_category splits.category notes buy_date";
+
+class SearchService {
+  // Busca por nome, observações e categorias (sem acentos, por prefixo e tolerando um erro de digitação),
+  // combinável com os filtros da listagem e ordenada por relevância
+  async search(userId, query = {}) {
+    const { page, limit, skip } = parsePagination(query);
+    const terms = [...new Set(tokenize(query.q))];
+
+    if (!terms.length) {
+      return { ...buildPage({ data: [], total: 0, page, limit, useCursor: false }), nextCursor: null };
+    }
+
+    const filter = buildBillFilter(userId, query);
+    filter.$and = (filter.$and || []).concat(terms.map((term) => ({ search_text: { $regex: termPattern(term) } })));
+
+    // Todas as contas que passam no filtro são ranqueadas, para o total e as páginas baterem
+    const ranked = [];
+    for await (const bill of billsModel.find(filter, SCORE_FIELDS).lean().cursor()) {
+      const score = scoreBill(bill, terms);
+      if (score > 0) ranked.push({ _id: bill._id, buy_date: bill.buy_date, score });
+    }
+    ranked.sort((a, b) => b.score - a.score || b.buy_date - a.buy_date || String(b._id).localeCompare(String(a._id)));
+
+    const pageItems = ranked.slice(skip, skip + limit);
+    const bills = await billsModel.find({ _id: { $in: pageItems.map(({ _id }) => _id) } }).populate(billsModel.CATEGORY_POPULATE);
+    const byId = new Map(bills.map((bill) => [String(bill._id), bill]));
+    const data = pageItems
+      .filter(({ _id }) => byId.has(String(_id)))
+      .map(({ _id, score }) => ({ ...byId.get(String(_id)).toJSON(), score }));
+
+    return { ...buildPage({ data, total: ranked.length, page, limit, useCursor: false }), nextCursor: null };
+  }
+
+  // Recalcula o texto de busca das contas do filtro (usado após updateMany, que não passa pelos hooks)
+  async reindex(filter, session = null) {
+    const cursor = billsModel
+      .find(filter, "bill_name bill_category splits notes search_text", { withDeleted: true })
+      .session(session)
+      .cursor();
+
+    let batch = [];
+    let updated = 0;
+
+    const flush = async () => {
+      if (!batch.length) return;
+      await billsModel.bulkWrite(batch, { session });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const bill of cursor) {
+      const searchText = buildSearchText(bill);
+      if (searchText !== bill.search_text) {
+        batch.push({ updateOne: { filter: { _id: bill._id }, update: { $set: { search_text: searchText } } } });
+      }
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    return updated;
+  }
+}
+
+module.exports = new SearchService();
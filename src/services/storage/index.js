@@ -0,0 +1,24 @@
+const path = require("path");
+
+const LocalStorage = require("./localStorage");
+
+// Backends disponíveis; para adicionar outro (S3, GCS...) basta implementar
+// save(key, buffer), createReadStream(key) e remove(key) e registrá-lo aqui
+const drivers = {
+  local: () => new LocalStorage(process.env.ATTACHMENTS_DIR || path.join(process.cwd(), "uploads", "attachments")),
+};
+
+const instances = new Map();
+
+const getStorage = (name = process.env.STORAGE_DRIVER || "local") => {
+  if (!drivers[name]) {
+    throw new Error(`Storage driver não suportado: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, drivers[name]());
+  }
+  return instances.get(name);
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,36 @@
+const fs = require("fs");
+const path = require("path");
+
+// Armazena os arquivos em disco, abaixo do diretório raiz informado
+class LocalStorage {
+  constructor(root) {
+    this.name = "local";
+    this.root = root;
+  }
+
+  resolve(key) {
+    const fullPath = path.resolve(this.root, key);
+
+    // Impede que a chave escape do diretório raiz
+    if (!fullPath.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Chave de armazenamento inválida: ${key}`);
+    }
+    return fullPath;
+  }
+
+  async save(key, buffer) {
+    const fullPath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.promises.writeFile(fullPath, buffer);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,195 @@
+const mongoose = require("mongoose");
+
+const billsModel = require("../models/billsModel");
+const Tag = require("../models/tagModel");
+const SavedView = require("../models/savedViewModel");
+const historyService = require("./historyService");
+const reportService = require("./reportService");
+const { fromCents } = require("../utils/money");
+const { excludeTransfers } = require("../utils/billAggregations");
+const { withTransaction } = require("../utils/transaction");
+
+class TagError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "TagError";
+    this.statusCode = statusCode;
+  }
+}
+
+// Regras de tags de um filtro salvo (ver utils/filterDsl) que citam `from`, trocado por `to`.
+// Devolve quantas regras foram alteradas
+const renameTagRules = (node, from, to) => {
+  if (!node || typeof node !== "object") return 0;
+
+  const group = node.and || node.or;
+  if (Array.isArray(group)) return group.reduce((total, child) => total + renameTagRules(child, from, to), 0);
+  if (node.field !== "tags") return 0;
+
+  const values = Array.isArray(node.value) ? node.value : [node.value];
+  if (!values.includes(from)) return 0;
+
+  const replaced = [...new Set(values.map((value) => (value === from ? to : value)))];
+  node.value = Array.isArray(node.value) ? replaced : replaced[0];
+  return 1;
+};
+
+class TagService {
+  async get(userId, tagId) {
+    const tag = mongoose.Types.ObjectId.isValid(tagId) ? await Tag.findOne({ _id: tagId, user_id: userId }) : null;
+    if (!tag) throw new TagError("Tag not found", 404);
+    return tag;
+  }
+
+  // Tags com a quantidade de contas que usam cada uma
+  async list(userId) {
+    const [tags, usage] = await Promise.all([
+      Tag.find({ user_id: userId }).sort({ name: 1 }),
+      billsModel.aggregate([
+        { $match: { user_id: new mongoose.Types.ObjectId(userId), tags: { $exists: true, $ne: [] } } },
+        { $unwind: "$tags" },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const counts = new Map(usage.map((row) => [row._id, row.count]));
+    return tags.map((tag) => ({ ...tag.toJSON(), billsCount: counts.get(tag.name) || 0 }));
+  }
+
+  async create(userId, { name, color }) {
+    const [normalized] = billsModel.normalizeTags([name]);
+    if (!normalized) throw new TagError("O nome da tag é obrigatório.");
+
+    if (await Tag.findOne({ user_id: userId, name: normalized })) {
+      throw new TagError("Essa tag já existe.", 409);
+    }
+
+    return Tag.create({ user_id: userId, name: normalized, color });
+  }
+
+  // Garante que as tags usadas nas contas existam (criação manual e importação)
+  async ensureTags(userId, names = []) {
+    const tags = billsModel.normalizeTags(names);
+    if (!tags.length) return;
+
+    await Tag.bulkWrite(
+      tags.map((name) => ({
+        updateOne: {
+          filter: { user_id: userId, name },
+          update: { $setOnInsert: { user_id: userId, name } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+
+  // Renomear propaga o novo nome para todas as contas com a tag (inclusive as da lixeira) e para as visões
+  // salvas, na mesma transação (mesclando se o nome já existir)
+  async update(userId, tagId, { name, color }) {
+    const tag = await this.get(userId, tagId);
+
+    const [newName] = name !== undefined ? billsModel.normalizeTags([name]) : [tag.name];
+    if (!newName) throw new TagError("O nome da tag é obrigatório.");
+
+    if (newName === tag.name) {
+      if (color !== undefined) tag.color = color;
+      await tag.save();
+      return { tag, billsUpdated: 0, merged: false };
+    }
+
+    return withTransaction(async (session) => {
+      const oldName = tag.name;
+      const existing = await Tag.findOne({ user_id: userId, name: newName }).session(session);
+      const filter = { user_id: userId, tags: oldName };
+      const options = { session, withDeleted: true };
+
+      const billsUpdated = await historyService.track(
+        userId,
+        "update",
+        filter,
+        async () => {
+          const { modifiedCount } = await billsModel.updateMany(filter, { $addToSet: { tags: newName } }, options);
+          await billsModel.updateMany(filter, { $pull: { tags: oldName } }, options);
+          return modifiedCount;
+        },
+        session
+      );
+
+      const views = await SavedView.find({ user_id: userId }).session(session);
+      for (const view of views) {
+        if (!renameTagRules(view.filter, oldName, newName)) continue;
+        view.markModified("filter");
+        await view.save({ session });
+      }
+
+      if (existing) {
+        await tag.deleteOne({ session });
+        if (color !== undefined) existing.color = color;
+        return { tag: await existing.save({ session }), billsUpdated, merged: true };
+      }
+
+      tag.name = newName;
+      if (color !== undefined) tag.color = color;
+      await tag.save({ session });
+
+      return { tag, billsUpdated, merged: false };
+    });
+  }
+
+  async remove(userId, tagId) {
+    const tag = mongoose.Types.ObjectId.isValid(tagId) ? await Tag.findOneAndDelete({ _id: tagId, user_id: userId }) : null;
+    if (!tag) throw new TagError("Tag not found", 404);
+
+    const filter = { user_id: userId, tags: tag.name };
+    const { modifiedCount } = await historyService.track(userId, "update", filter, () =>
+      billsModel.updateMany(filter, { $pull: { tags: tag.name } })
+    );
+
+    return { tag, billsUpdated: modifiedCount };
+  }
+
+  // Totais de receitas e despesas por tag no período
+  async summary(userId, query = {}) {
+    const { start, end } = reportService.resolvePeriod(query);
+
+    const rows = await billsModel.aggregate([
+      {
+        $match: {
+          user_id: new mongoose.Types.ObjectId(userId),
+          buy_date: { $gte: start, $lte: end },
+          status: { $ne: "cancelled" },
+          ...excludeTransfers(),
+          tags: { $exists: true, $ne: [] },
+        },
+      },
+      { $unwind: "$tags" },
+      {
+        $group: {
+          _id: "$tags",
+          expense: { $sum: { $cond: [{ $eq: ["$bill_type", "expense"] }, "$bill_value", 0] } },
+          income: { $sum: { $cond: [{ $eq: ["$bill_type", "income"] }, "$bill_value", 0] } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { expense: -1 } },
+    ]);
+
+    return {
+      startDate: start,
+      endDate: end,
+      tags: rows.map((row) => ({
+        tag: row._id,
+        expense: fromCents(row.expense),
+        income: fromCents(row.income),
+        balance: fromCents(row.income - row.expense),
+        count: row.count,
+      })),
+    };
+  }
+}
+
+const tagService = new TagService();
+tagService.TagError = TagError;
+
+module.exports = tagService;
@@ -0,0 +1,267 @@
+const mongoose = require("mongoose");
+
+const billsModel = require("../models/billsModel");
+const CardStatement = require("../models/cardStatementModel");
+const { parseDate } = require("../utils/billFilters");
+const { parsePagination, buildPage } = require("../utils/pagination");
+const { toCents } = require("../utils/money");
+const { withTransaction } = require("../utils/transaction");
+const accountService = require("./accountService");
+const historyService = require("./historyService");
+const trashService = require("./trashService");
+const reportService = require("./reportService");
+
+const TRANSFER_TYPE = "transfer";
+
+// Campos sempre iguais nos dois lados da transferência (a conta é a única diferença)
+const SHARED_FIELDS = ["bill_name", "bill_value", "buy_date", "due_date", "paid_at", "status", "notes", "tags"];
+
+class TransferError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "TransferError";
+    this.statusCode = statusCode;
+  }
+}
+
+const parseAmount = (amount) => {
+  if (!(toCents(amount) > 0)) throw new TransferError("amount deve ser maior que zero");
+  return amount;
+};
+
+const parseTransferDate = (date) => {
+  if (!date) return new Date();
+
+  const parsed = parseDate(date);
+  if (!parsed) throw new TransferError("Data inválida (use YYYY-MM-DD)");
+  return parsed;
+};
+
+class TransferService {
+  format({ out, in: incoming }) {
+    return {
+      transfer_id: out.transfer_id,
+      from_account_id: out.account_id,
+      to_account_id: incoming ? incoming.account_id : null,
+      amount: out.bill_value,
+      date: out.buy_date,
+      description: out.bill_name,
+      notes: out.notes,
+      tags: out.tags,
+      bills: { out, in: incoming || null },
+    };
+  }
+
+  async validateAccounts(userId, fromId, toId) {
+    if (String(fromId) === String(toId)) throw new TransferError("As contas de origem e destino devem ser diferentes");
+
+    const [from, to] = await Promise.all([accountService.get(userId, fromId), accountService.get(userId, toId)]);
+    return { from, to };
+  }
+
+  // Os dois lados da transferência; aceita o transfer_id ou o _id de qualquer um dos lados
+  async getPair(userId, id, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) throw new TransferError("Transfer not found", 404);
+
+    const bills = await billsModel
+      .find({ user_id: userId, bill_type: TRANSFER_TYPE, $or: [{ transfer_id: id }, { _id: id }] })
+      .session(session);
+    const transferId = bills.length ? bills[0].transfer_id : null;
+    const sides = transferId
+      ? await billsModel.find({ user_id: userId, transfer_id: transferId }).session(session)
+      : [];
+
+    const out = sides.find((bill) => bill.transfer_direction === "out");
+    const incoming = sides.find((bill) => bill.transfer_direction === "in");
+    if (!out || !incoming) throw new TransferError("Transfer not found", 404);
+
+    return { out, in: incoming };
+  }
+
+  async get(userId, id) {
+    return this.format(await this.getPair(userId, id));
+  }
+
+  // Transferências do período (padrão: mês corrente), opcionalmente de uma conta (origem ou destino)
+  async list(userId, query = {}) {
+    const { start, end } = reportService.resolvePeriod(query);
+    const { page, limit, skip } = parsePagination(query);
+    const filter = { user_id: userId, bill_type: TRANSFER_TYPE, transfer_direction: "out", buy_date: { $gte: start, $lte: end } };
+
+    if (query.account_id) {
+      const account = await accountService.get(userId, query.account_id);
+      const sides = await billsModel.find({ user_id: userId, bill_type: TRANSFER_TYPE, account_id: account._id }, "transfer_id");
+      filter.transfer_id = { $in: sides.map((bill) => bill.transfer_id) };
+    }
+
+    const [outs, total] = await Promise.all([
+      billsModel.find(filter).sort({ buy_date: -1, _id: -1 }).skip(skip).limit(limit),
+      billsModel.countDocuments(filter),
+    ]);
+    const incoming = await billsModel.find({
+      user_id: userId,
+      transfer_id: { $in: outs.map((bill) => bill.transfer_id) },
+      transfer_direction: "in",
+    });
+    const inByTransfer = new Map(incoming.map((bill) => [String(bill.transfer_id), bill]));
+
+    const data = outs.map((out) => this.format({ out, in: inByTransfer.get(String(out.transfer_id)) }));
+    return { startDate: start, endDate: end, ...buildPage({ data, total, page, limit, useCursor: false }), nextCursor: null };
+  }
+
+  // Debita a conta de origem e credita a de destino na mesma transação (a do chamador, se informada)
+  async create(userId, data, session = null) {
+    const amount = parseAmount(data.amount);
+    const date = parseTransferDate(data.date);
+    const { from, to } = await this.validateAccounts(userId, data.from_account_id, data.to_account_id);
+
+    const transferId = new mongoose.Types.ObjectId();
+    const common = {
+      user_id: userId,
+      bill_type: TRANSFER_TYPE,
+      bill_name: data.description || `Transferência ${from.name} → ${to.name}`,
+      bill_value: amount,
+      buy_date: date,
+      due_date: date,
+      status: "paid",
+      paid_at: date,
+      notes: data.notes,
+      tags: data.tags,
+      transfer_id: transferId,
+    };
+
+    const work = async (session) => {
+      const [out, incoming] = await billsModel.insertMany(
+        [
+          { ...common, account_id: from._id, transfer_direction: "out" },
+          { ...common, account_id: to._id, transfer_direction: "in" },
+        ],
+        { session }
+      );
+      await historyService.recordCreated(userId, "create", [out, incoming], session);
+
+      return this.format({ out, in: incoming });
+    };
+
+    return session ? work(session) : withTransaction(work);
+  }
+
+  async update(userId, id, changes) {
+    return withTransaction(async (session) => {
+      const pair = await this.getPair(userId, id, session);
+      const befores = [pair.out, pair.in].map((bill) => historyService.snapshot(bill));
+
+      if (changes.from_account_id || changes.to_account_id) {
+        const { from, to } = await this.validateAccounts(
+          userId,
+          changes.from_account_id || pair.out.account_id,
+          changes.to_account_id || pair.in.account_id
+        );
+        pair.out.account_id = from._id;
+        pair.in.account_id = to._id;
+      }
+
+      const shared = {};
+      if (changes.amount !== undefined) shared.bill_value = parseAmount(changes.amount);
+      if (changes.date !== undefined) {
+        const date = parseTransferDate(changes.date);
+        Object.assign(shared, { buy_date: date, due_date: date, paid_at: date });
+      }
+      if (changes.description !== undefined) shared.bill_name = changes.description;
+      if (changes.notes !== undefined) shared.notes = changes.notes;
+      if (changes.tags !== undefined) shared.tags = changes.tags;
+
+      for (const bill of [pair.out, pair.in]) {
+        bill.set(shared);
+        await bill.save({ session });
+      }
+      await historyService.recordChanges(userId, "update", befores, [pair.out, pair.in], session);
+
+      return this.format(pair);
+    });
+  }
+
+  async remove(userId, id) {
+    const { out } = await this.getPair(userId, id);
+    await this.assertNotStatementPayment(userId, { transfer_id: out.transfer_id });
+    return trashService.trashBills(userId, { transfer_id: out.transfer_id });
+  }
+
+  // Transferência que pagou uma fatura não pode ser excluída nem voltar a pendente (a fatura ficaria paga
+  // sem pagamento): o caminho é desfazer o pagamento da fatura
+  async assertNotStatementPayment(userId, filter, session = null) {
+    const transferIds = await billsModel
+      .distinct("transfer_id", { $and: [filter, { user_id: userId, transfer_id: { $ne: null } }] })
+      .session(session);
+    if (!transferIds.length) return;
+
+    const statement = await CardStatement.findOne({
+      user_id: userId,
+      status: "paid",
+      payment_transfer_id: { $in: transferIds },
+    }).session(session);
+    if (statement) {
+      throw new TransferError(
+        `A transferência pagou a fatura ${statement.month}: use DELETE /accounts/${statement.account_id}/statements/${statement.month}/pay`,
+        409
+      );
+    }
+  }
+
+  // Regras para lados de transferência editados pelas rotas de contas (PUT /bills/:id)
+  async checkBill(userId, bill, session = null) {
+    if (!bill.transfer_id) {
+      if (bill.bill_type === TRANSFER_TYPE) throw new TransferError("Transferências são criadas em POST /transfers");
+      return;
+    }
+    if (bill.bill_type !== TRANSFER_TYPE) throw new TransferError("O tipo de um lado de transferência não pode ser alterado");
+    if (bill.isModified("status") && bill.status !== "paid") {
+      await this.assertNotStatementPayment(userId, { transfer_id: bill.transfer_id }, session);
+    }
+
+    if (bill.isModified("account_id")) {
+      if (!bill.account_id) throw new TransferError("Os lados de uma transferência precisam de uma conta");
+
+      const counterpart = await billsModel
+        .findOne({ user_id: userId, transfer_id: bill.transfer_id, _id: { $ne: bill._id } })
+        .session(session);
+      if (counterpart && String(counterpart.account_id) === String(bill.account_id)) {
+        throw new TransferError("As contas de origem e destino devem ser diferentes");
+      }
+    }
+  }
+
+  // Leva para o outro lado as alterações feitas em um lado (edição individual ou em lote)
+  async syncCounterparts(userId, bills, session = null) {
+    const sides = bills.filter((bill) => bill.transfer_id);
+    if (!sides.length) return 0;
+
+    const counterparts = await billsModel
+      .find({
+        user_id: userId,
+        transfer_id: { $in: sides.map((bill) => bill.transfer_id) },
+        _id: { $nin: sides.map((bill) => bill._id) },
+      })
+      .session(session);
+    if (!counterparts.length) return 0;
+
+    // Copia a partir do objeto em reais, como nas ocorrências de séries
+    const sourceByTransfer = new Map(sides.map((bill) => [String(bill.transfer_id), bill.toObject()]));
+    const befores = counterparts.map((bill) => historyService.snapshot(bill));
+
+    for (const counterpart of counterparts) {
+      const source = sourceByTransfer.get(String(counterpart.transfer_id));
+      SHARED_FIELDS.forEach((field) => counterpart.set(field, source[field]));
+      if (counterpart.isModified()) await counterpart.save({ session });
+    }
+    await historyService.recordChanges(userId, "update", befores, counterparts, session);
+
+    return counterparts.length;
+  }
+}
+
+const transferService = new TransferService();
+transferService.TransferError = TransferError;
+transferService.TRANSFER_TYPE = TRANSFER_TYPE;
+
+module.exports = transferService;
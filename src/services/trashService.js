@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+
+const billsModel = require("../models/billsModel");
+const Category = require("../models/categoryModel");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const historyService = require("./historyService");
+const attachmentService = require("./attachmentService");
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const validIds = (ids = []) => ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+
+// Transferências entram e saem da lixeira com os dois lados: o filtro passa a incluir o outro lado
+const withTransferPairs = async (filter, session = null) => {
+  const bills = await billsModel.find({ $and: [filter, { transfer_id: { $ne: null } }] }, "transfer_id", { withDeleted: true, session });
+  if (!bills.length) return filter;
+
+  const { user_id, deleted_at, ...rest } = filter;
+  return { $or: [rest, { transfer_id: { $in: bills.map((bill) => bill.transfer_id) } }], user_id, deleted_at };
+};
+
+class TrashService {
+  get retentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+  }
+
+  // Move para a lixeira as contas que casam com o filtro (sempre do usuário)
+  async trashBills(userId, filter, session = null) {
+    const scoped = await withTransferPairs({ ...filter, user_id: userId, deleted_at: null }, session);
+
+    const { modifiedCount } = await historyService.track(
+      userId,
+      "delete",
+      scoped,
+      () => billsModel.updateMany(scoped, { $set: { deleted_at: new Date() } }, { session }),
+      session
+    );
+    return modifiedCount;
+  }
+
+  async trashCategory(userId, categoryId, session = null) {
+    return Category.findOneAndUpdate({ _id: categoryId, user_id: userId }, { $set: { deleted_at: new Date() } }, { new: true, session });
+  }
+
+  async list(userId) {
+    const [bills, categories] = await Promise.all([
+      billsModel.find({ user_id: userId, deleted_at: { $ne: null } }).sort({ deleted_at: -1 }),
+      Category.find({ user_id: userId, deleted_at: { $ne: null } }).sort({ deleted_at: -1 }),
+    ]);
+
+    return { retentionDays: this.retentionDays, bills, categories };
+  }
+
+  async restore(userId, { bills = [], categories = [] }) {
+    const billsFilter = await withTransferPairs({ _id: { $in: validIds(bills) }, user_id: userId, deleted_at: { $ne: null } });
+
+    const [billsResult, categoriesResult] = await Promise.all([
+      historyService.track(userId, "restore", billsFilter, () =>
+        billsModel.updateMany(billsFilter, { $set: { deleted_at: null } })
+      ),
+      Category.updateMany(
+        { _id: { $in: validIds(categories) }, user_id: userId, deleted_at: { $ne: null } },
+        { $set: { deleted_at: null, merged_into: null } }
+      ),
+    ]);
+
+    // Parcelas restauradas trazem de volta o plano delas
+    const planIds = await billsModel.distinct("installment_plan_id", { ...billsFilter, deleted_at: null });
+    if (planIds.length) {
+      await InstallmentPlan.updateMany({ _id: { $in: planIds }, user_id: userId, deleted_at: { $ne: null } }, { $set: { deleted_at: null } });
+    }
+
+    return { bills: billsResult.modifiedCount, categories: categoriesResult.modifiedCount };
+  }
+
+  // Remove definitivamente o que está na lixeira (do usuário ou de todos, conforme o filtro)
+  async purge(filter) {
+    const trashFilter = { ...filter, deleted_at: { ...filter.deleted_at, $ne: null } };
+    const purgedBillIds = (await billsModel.find(trashFilter, "_id")).map((bill) => bill._id);
+
+    await attachmentService.removeForBills(purgedBillIds);
+
+    const [billsResult, categoriesResult] = await Promise.all([
+      billsModel.deleteMany({ _id: { $in: purgedBillIds } }),
+      Category.deleteMany(trashFilter),
+      InstallmentPlan.deleteMany(trashFilter),
+    ]);
+
+    return { bills: billsResult.deletedCount, categories: categoriesResult.deletedCount };
+  }
+
+  async empty(userId) {
+    return this.purge({ user_id: userId });
+  }
+
+  // Limpeza automática dos itens que passaram do período de retenção
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+    return this.purge({ deleted_at: { $lt: cutoff } });
+  }
+}
+
+module.exports = new TrashService();
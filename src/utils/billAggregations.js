@@ -0,0 +1,39 @@
+// Estágios que transformam cada conta em "linhas de categoria": as divisões (splits), quando
+// existem, ou a própria conta. Depois deles, use line_category / line_amount nos agrupamentos.
+const categoryLinesStages = () => [
+  {
+    $addFields: {
+      _lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ["$splits", []] } }, 0] },
+          { $map: { input: "$splits", as: "split", in: { category: "$$split.category", amount: "$$split.amount" } } },
+          [{ category: "$bill_category", amount: "$bill_value" }],
+        ],
+      },
+    },
+  },
+  { $unwind: "$_lines" },
+  { $addFields: { line_category: "$_lines.category", line_amount: "$_lines.amount" } },
+  { $project: { _lines: 0 } },
+];
+
+// Valor da conta com sinal para saldos: receitas e entradas de transferência somam,
+// despesas e saídas de transferência subtraem
+const signedAmount = (amount = "$bill_value") => ({
+  $switch: {
+    branches: [
+      { case: { $eq: ["$bill_type", "income"] }, then: amount },
+      { case: { $eq: ["$bill_type", "expense"] }, then: { $multiply: [amount, -1] } },
+      {
+        case: { $eq: ["$bill_type", "transfer"] },
+        then: { $cond: [{ $eq: ["$transfer_direction", "in"] }, amount, { $multiply: [amount, -1] }] },
+      },
+    ],
+    default: 0,
+  },
+});
+
+// Transferências só movem dinheiro entre contas: não são receita nem despesa nos relatórios
+const excludeTransfers = () => ({ bill_type: { $ne: "transfer" } });
+
+module.exports = { categoryLinesStages, signedAmount, excludeTransfers };
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+// Campos pelos quais a listagem de contas pode ser ordenada
+const SORTABLE_FIELDS = ["buy_date", "bill_value", "bill_name", "bill_category", "bill_type", "payment_type", "createdAt", "updatedAt"];
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+};
+
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+
+  const date = moment(value, [moment.ISO_8601, "YYYY-MM-DD", "DD/MM/YYYY"], true);
+  if (!date.isValid()) return null;
+
+  return endOfDay ? date.endOf("day").toDate() : date.startOf("day").toDate();
+};
+
+const startOfToday = (now = new Date()) => moment(now).startOf("day").toDate();
+
+// Contas antigas não têm due_date nem status: valem buy_date e "pending"
+const dueDateCondition = (range) => ({
+  $or: [{ due_date: range }, { due_date: null, buy_date: range }],
+});
+
+const statusCondition = (status, now = new Date()) => {
+  const pending = { status: { $in: ["pending", null] } };
+
+  if (status === "overdue") {
+    return { $and: [pending, dueDateCondition({ $lt: startOfToday(now) })] };
+  }
+  if (status === "pending") {
+    return { $and: [pending, dueDateCondition({ $gte: startOfToday(now) })] };
+  }
+
+  return { status };
+};
+
+// Traduz os filtros opcionais da querystring para uma consulta do Mongo sempre restrita ao usuário
+const buildBillFilter = (userId, query = {}) => {
+  const filter = { user_id: userId };
+
+  const startDate = parseDate(query.startDate);
+  const endDate = parseDate(query.endDate, true);
+
+  if (startDate || endDate) {
+    filter.buy_date = {};
+    if (startDate) filter.buy_date.$gte = startDate;
+    if (endDate) filter.buy_date.$lte = endDate;
+  }
+
+  // Contas divididas também aparecem nas categorias das suas divisões
+  const categories = toList(query.bill_category);
+  if (categories.length) {
+    filter.$and = (filter.$and || []).concat({
+      $or: [{ bill_category: { $in: categories } }, { "splits.category": { $in: categories } }],
+    });
+  }
+
+  const categoryIds = toList(query.category_id).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (categoryIds.length) {
+    const ids = categoryIds.map((id) => new mongoose.Types.ObjectId(id));
+    filter.$and = (filter.$and || []).concat({
+      $or: [{ category_id: { $in: ids } }, { "splits.category_id": { $in: ids } }],
+    });
+  }
+
+  const types = toList(query.bill_type);
+  if (types.length) filter.bill_type = { $in: types };
+
+  const paymentTypes = toList(query.payment_type);
+  if (paymentTypes.length) filter.payment_type = { $in: paymentTypes };
+
+  const accounts = toList(query.account_id).filter((id) => mongoose.Types.ObjectId.isValid(id));
+  if (accounts.length) filter.account_id = { $in: accounts.map((id) => new mongoose.Types.ObjectId(id)) };
+
+  // Conferidas (ou não) na conciliação com o extrato
+  if (query.reconciled !== undefined && query.reconciled !== "") {
+    filter.reconciled_at = String(query.reconciled) === "true" ? { $ne: null } : null;
+  }
+
+  // Tags: "any" (padrão) casa contas com pelo menos uma das tags, "all" exige todas
+  const tags = toList(query.tags);
+  if (tags.length) {
+    filter.tags = query.tagsMode === "all" ? { $all: tags } : { $in: tags };
+  }
+
+  const statuses = toList(query.status);
+  if (statuses.length) {
+    filter.$and = (filter.$and || []).concat({ $or: statuses.map((status) => statusCondition(status)) });
+  }
+
+  return filter;
+};
+
+// Ordenação validada contra a lista de campos permitidos (_id como desempate)
+const parseSort = (query = {}) => {
+  const sortField = SORTABLE_FIELDS.includes(query.sortBy) ? query.sortBy : "buy_date";
+  const direction = String(query.orderBy).toLowerCase() === "asc" ? 1 : -1;
+
+  return { sortField, direction, sort: { [sortField]: direction, _id: direction } };
+};
+
+module.exports = {
+  SORTABLE_FIELDS,
+  toList,
+  parseDate,
+  startOfToday,
+  dueDateCondition,
+  statusCondition,
+  buildBillFilter,
+  parseSort,
+};
@@ -0,0 +1,127 @@
+// Pacotes de categorias sugeridas, com nome em cada idioma, tipo, cor, ícone e subcategorias.
+// "essentials" é aplicado no cadastro; os outros podem ser aplicados depois (POST /category/templates/:pack/apply)
+
+const LOCALES = ["pt-BR", "en"];
+const DEFAULT_LOCALE = "pt-BR";
+const DEFAULT_PACK = "essentials";
+
+const PACKS = {
+  essentials: {
+    title: { "pt-BR": "Essenciais", en: "Essentials" },
+    categories: [
+      { name: { "pt-BR": "Salário", en: "Salary" }, type: "income", color: "#2E7D32", icon: "fa-money-bill-wave" },
+      { name: { "pt-BR": "Outras receitas", en: "Other income" }, type: "income", color: "#66BB6A", icon: "fa-hand-holding-usd" },
+      {
+        name: { "pt-BR": "Alimentação", en: "Food" },
+        type: "expense",
+        color: "#EF6C00",
+        icon: "fa-utensils",
+        children: [
+          { name: { "pt-BR": "Mercado", en: "Groceries" }, type: "expense", color: "#FB8C00", icon: "fa-shopping-basket" },
+          { name: { "pt-BR": "Restaurantes", en: "Restaurants" }, type: "expense", color: "#FFA726", icon: "fa-hamburger" },
+        ],
+      },
+      {
+        name: { "pt-BR": "Moradia", en: "Housing" },
+        type: "expense",
+        color: "#5D4037",
+        icon: "fa-home",
+        children: [
+          { name: { "pt-BR": "Aluguel", en: "Rent" }, type: "expense", color: "#6D4C41", icon: "fa-key" },
+          { name: { "pt-BR": "Contas da casa", en: "Utilities" }, type: "expense", color: "#8D6E63", icon: "fa-bolt" },
+        ],
+      },
+      {
+        name: { "pt-BR": "Transporte", en: "Transportation" },
+        type: "expense",
+        color: "#1565C0",
+        icon: "fa-car",
+        children: [
+          { name: { "pt-BR": "Combustível", en: "Fuel" }, type: "expense", color: "#1E88E5", icon: "fa-gas-pump" },
+          { name: { "pt-BR": "Transporte público", en: "Public transit" }, type: "expense", color: "#42A5F5", icon: "fa-bus" },
+        ],
+      },
+      { name: { "pt-BR": "Saúde", en: "Health" }, type: "expense", color: "#C62828", icon: "fa-heartbeat" },
+      { name: { "pt-BR": "Educação", en: "Education" }, type: "expense", color: "#6A1B9A", icon: "fa-graduation-cap" },
+      { name: { "pt-BR": "Lazer", en: "Leisure" }, type: "expense", color: "#00897B", icon: "fa-film" },
+      { name: { "pt-BR": "Compras", en: "Shopping" }, type: "expense", color: "#AD1457", icon: "fa-shopping-bag" },
+      { name: { "pt-BR": "Assinaturas", en: "Subscriptions" }, type: "expense", color: "#3949AB", icon: "fa-sync-alt" },
+      { name: { "pt-BR": "Impostos e taxas", en: "Taxes and fees" }, type: "expense", color: "#546E7A", icon: "fa-file-invoice-dollar" },
+      { name: { "pt-BR": "Outros", en: "Other" }, type: "expense", color: "#757575", icon: "fa-tag" },
+    ],
+  },
+  family: {
+    title: { "pt-BR": "Família", en: "Family" },
+    categories: [
+      {
+        name: { "pt-BR": "Filhos", en: "Kids" },
+        type: "expense",
+        color: "#F06292",
+        icon: "fa-child",
+        children: [
+          { name: { "pt-BR": "Escola", en: "School" }, type: "expense", color: "#EC407A", icon: "fa-school" },
+          { name: { "pt-BR": "Atividades", en: "Activities" }, type: "expense", color: "#F48FB1", icon: "fa-futbol" },
+        ],
+      },
+      { name: { "pt-BR": "Pets", en: "Pets" }, type: "expense", color: "#8D6E63", icon: "fa-paw" },
+      { name: { "pt-BR": "Presentes", en: "Gifts" }, type: "expense", color: "#AB47BC", icon: "fa-gift" },
+      { name: { "pt-BR": "Viagens", en: "Travel" }, type: "expense", color: "#0097A7", icon: "fa-plane" },
+      { name: { "pt-BR": "Mesada", en: "Allowance" }, type: "income", color: "#43A047", icon: "fa-piggy-bank" },
+    ],
+  },
+  freelancer: {
+    title: { "pt-BR": "Autônomo", en: "Freelancer" },
+    categories: [
+      { name: { "pt-BR": "Serviços prestados", en: "Client work" }, type: "income", color: "#388E3C", icon: "fa-briefcase" },
+      { name: { "pt-BR": "Reembolsos", en: "Reimbursements" }, type: "income", color: "#81C784", icon: "fa-undo" },
+      {
+        name: { "pt-BR": "Despesas do trabalho", en: "Business expenses" },
+        type: "expense",
+        color: "#455A64",
+        icon: "fa-laptop",
+        children: [
+          { name: { "pt-BR": "Equipamentos", en: "Equipment" }, type: "expense", color: "#607D8B", icon: "fa-desktop" },
+          { name: { "pt-BR": "Software", en: "Software" }, type: "expense", color: "#78909C", icon: "fa-code" },
+          { name: { "pt-BR": "Contador", en: "Accountant" }, type: "expense", color: "#90A4AE", icon: "fa-calculator" },
+        ],
+      },
+      { name: { "pt-BR": "Previdência", en: "Retirement" }, type: "expense", color: "#5E35B1", icon: "fa-umbrella" },
+    ],
+  },
+};
+
+// Categorias criadas pelo sistema, guardadas com a chave (system_key) e exibidas no idioma do usuário
+const SYSTEM_CATEGORIES = {
+  uncategorized: { "pt-BR": "Sem categoria", en: "Uncategorized" },
+};
+
+// Idioma suportado mais próximo do informado ("pt", "pt_BR", "en-US"...); sem correspondência, o padrão
+const resolveLocale = (locale) => {
+  if (!locale) return DEFAULT_LOCALE;
+
+  const wanted = String(locale).split(",")[0].trim().replace("_", "-").toLowerCase();
+  return (
+    LOCALES.find((item) => item.toLowerCase() === wanted) ||
+    LOCALES.find((item) => item.split("-")[0].toLowerCase() === wanted.split("-")[0]) ||
+    DEFAULT_LOCALE
+  );
+};
+
+// Pacote no idioma pedido: só o nome de cada categoria muda
+const localizePack = (key, locale) => {
+  const pack = PACKS[key];
+  if (!pack) return null;
+
+  const localize = ({ name, children, ...category }) => ({
+    ...category,
+    name: name[locale],
+    children: (children || []).map(localize),
+  });
+
+  return { key, title: pack.title[locale], categories: pack.categories.map(localize) };
+};
+
+// Nome da categoria do sistema no idioma pedido; null para chaves desconhecidas
+const systemCategoryName = (key, locale) => (SYSTEM_CATEGORIES[key] ? SYSTEM_CATEGORIES[key][resolveLocale(locale)] : null);
+
+module.exports = { LOCALES, DEFAULT_LOCALE, DEFAULT_PACK, PACKS, SYSTEM_CATEGORIES, resolveLocale, localizePack, systemCategoryName };
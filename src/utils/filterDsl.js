@@ -0,0 +1,250 @@
+const mongoose = require("mongoose");
+const moment = require("moment");
+
+const { parseDate, dueDateCondition, statusCondition } = require("./billFilters");
+const { toCents } = require("./money");
+
+/*
+ * Linguagem de filtros do POST /filter
+ *
+ *   { "where": <condição>, "sortBy": "buy_date", "orderBy": "desc", "page": 1, "limit": 20 }
+ *
+ * <condição> é um grupo { "and": [<condição>, ...] } / { "or": [<condição>, ...] }
+ * ou uma regra { "field": "bill_value", "op": "between", "value": [10, 50] }.
+ *
+ * Só os campos de FIELDS e os operadores do tipo de cada campo são aceitos. Datas em YYYY-MM-DD
+ * ("between" inclui os dois dias), valores em reais e textos sem diferenciar maiúsculas.
+ * Datas também aceitam períodos relativos com "within" (ex.: "current_month", "last_90_days"),
+ * resolvidos na hora em que o filtro roda — é o que permite salvar visões como "este mês".
+ * A consulta gerada é sempre restrita ao usuário e está no formato gravado (centavos, ObjectId),
+ * pronta para um $match de agregação.
+ */
+
+const MAX_DEPTH = 4;
+const MAX_RULES = 50;
+const MAX_LIST = 100;
+
+const OPERATORS = {
+  date: ["eq", "gt", "gte", "lt", "lte", "between", "within"],
+  money: ["eq", "ne", "gt", "gte", "lt", "lte", "between"],
+  text: ["eq", "contains", "starts_with"],
+  enum: ["eq", "ne", "in", "nin"],
+  category: ["eq", "ne", "in", "nin", "contains"],
+  tags: ["has", "in", "all"],
+  boolean: ["eq"],
+  status: ["eq", "in"],
+  id: ["eq", "ne", "in", "nin"],
+};
+
+const FIELDS = {
+  buy_date: "date",
+  due_date: "date",
+  paid_at: "date",
+  bill_value: "money",
+  original_value: "money",
+  bill_name: "text",
+  notes: "text",
+  bill_category: "category",
+  bill_type: "enum",
+  payment_type: "enum",
+  account_id: "id",
+  currency: "enum",
+  tags: "tags",
+  fixed: "boolean",
+  repeat: "boolean",
+  status: "status",
+};
+
+class FilterDslError extends Error {
+  constructor(message, path) {
+    super(path ? `${path}: ${message}` : message);
+    this.name = "FilterDslError";
+    this.statusCode = 400;
+    this.path = path;
+  }
+}
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const RANGE_OPS = { gt: "$gt", gte: "$gte", lt: "$lt", lte: "$lte" };
+
+const castValue = (type, value, path) => {
+  if (type === "date") {
+    const date = parseDate(value);
+    if (!date) throw new FilterDslError("data inválida (use YYYY-MM-DD)", path);
+    return date;
+  }
+  if (type === "money") {
+    if (typeof value !== "number" || !Number.isFinite(value)) throw new FilterDslError("valor deve ser um número", path);
+    return toCents(value);
+  }
+  if (type === "boolean") {
+    if (typeof value !== "boolean") throw new FilterDslError("valor deve ser true ou false", path);
+    return value;
+  }
+  if (type === "id") {
+    if (!mongoose.Types.ObjectId.isValid(value)) throw new FilterDslError("id inválido", path);
+    return new mongoose.Types.ObjectId(value);
+  }
+  if (typeof value !== "string" || !value.trim()) throw new FilterDslError("valor deve ser um texto", path);
+  return value.trim();
+};
+
+const castList = (type, value, path) => {
+  if (!Array.isArray(value) || !value.length) throw new FilterDslError("valor deve ser uma lista não vazia", path);
+  if (value.length > MAX_LIST) throw new FilterDslError(`lista com mais de ${MAX_LIST} itens`, path);
+  return value.map((item, index) => castValue(type, item, `${path}[${index}]`));
+};
+
+const STATUSES = ["pending", "paid", "overdue", "cancelled"];
+
+// Contas antigas sem vencimento vencem na data da compra
+const dateCondition = (field, range) => (field === "due_date" ? dueDateCondition(range) : { [field]: range });
+
+// Período nomeado -> [unidade, quantas unidades para trás]
+const PERIOD_UNITS = {
+  today: ["day", 0],
+  yesterday: ["day", 1],
+  current_week: ["isoWeek", 0],
+  last_week: ["isoWeek", 1],
+  current_month: ["month", 0],
+  last_month: ["month", 1],
+  current_year: ["year", 0],
+  last_year: ["year", 1],
+};
+
+const PERIODS = Object.keys(PERIOD_UNITS);
+
+// Período relativo -> [início, fim] a partir de agora; aceita também last_N_days / next_N_days
+const resolvePeriod = (period, now = new Date()) => {
+  const today = moment(now);
+  const days = /^(last|next)_(\d{1,4})_days$/.exec(period);
+
+  if (days) {
+    const count = Math.max(parseInt(days[2], 10), 1) - 1;
+    return days[1] === "last"
+      ? [today.clone().subtract(count, "days").startOf("day"), today.clone().endOf("day")]
+      : [today.clone().startOf("day"), today.clone().add(count, "days").endOf("day")];
+  }
+
+  // Só as chaves do próprio objeto ("__proto__", "constructor"... não são períodos)
+  if (!Object.prototype.hasOwnProperty.call(PERIOD_UNITS, period)) return null;
+  const [unit, shift] = PERIOD_UNITS[period];
+
+  const base = today.clone().subtract(shift, unit === "isoWeek" ? "weeks" : `${unit}s`);
+  return [base.clone().startOf(unit), base.clone().endOf(unit)];
+};
+
+// Datas: "eq" casa o dia inteiro e os limites superiores incluem o fim do dia
+const compileDate = (field, op, value, path) => {
+  if (op === "within") {
+    const period = typeof value === "string" ? resolvePeriod(value) : null;
+    if (!period) throw new FilterDslError(`período inválido (use ${PERIODS.join(", ")}, last_N_days ou next_N_days)`, path);
+    return dateCondition(field, { $gte: period[0].toDate(), $lte: period[1].toDate() });
+  }
+
+  if (op === "between") {
+    if (!Array.isArray(value) || value.length !== 2) throw new FilterDslError("between espera [início, fim]", path);
+    const [start, end] = [castValue("date", value[0], `${path}[0]`), parseDate(value[1], true)];
+    if (!end) throw new FilterDslError("data inválida (use YYYY-MM-DD)", `${path}[1]`);
+    return dateCondition(field, { $gte: start, $lte: end });
+  }
+
+  const start = castValue("date", value, path);
+  const end = parseDate(value, true);
+  if (op === "eq") return dateCondition(field, { $gte: start, $lte: end });
+  if (op === "gt") return dateCondition(field, { $gt: end });
+  if (op === "lte") return dateCondition(field, { $lte: end });
+  return dateCondition(field, { [RANGE_OPS[op]]: start });
+};
+
+const compileRule = (rule, path) => {
+  const { field, op, value } = rule;
+  // Só as chaves do próprio objeto ("toString", "__proto__"... não são campos)
+  const type = Object.prototype.hasOwnProperty.call(FIELDS, field) ? FIELDS[field] : null;
+
+  if (!type) throw new FilterDslError(`campo "${field}" não é filtrável`, path);
+  if (!OPERATORS[type].includes(op)) {
+    throw new FilterDslError(`operador "${op}" não é válido para ${field} (use ${OPERATORS[type].join(", ")})`, path);
+  }
+
+  const valuePath = `${path}.value`;
+
+  if (type === "date") return compileDate(field, op, value, valuePath);
+
+  if (op === "between") {
+    if (!Array.isArray(value) || value.length !== 2) throw new FilterDslError("between espera [mínimo, máximo]", valuePath);
+    const [min, max] = castList(type, value, valuePath);
+    return { [field]: { $gte: min, $lte: max } };
+  }
+
+  if (type === "status") {
+    const statuses = op === "in" ? castList(type, value, valuePath) : [castValue(type, value, valuePath)];
+    const invalid = statuses.filter((status) => !STATUSES.includes(status));
+    if (invalid.length) throw new FilterDslError(`status inválido: ${invalid.join(", ")}`, valuePath);
+    return { $or: statuses.map((status) => statusCondition(status)) };
+  }
+
+  if (type === "tags") {
+    if (op === "has") return { tags: castValue(type, value, valuePath) };
+    return { tags: { [op === "all" ? "$all" : "$in"]: castList(type, value, valuePath) } };
+  }
+
+  if (type === "text" || op === "contains" || op === "starts_with") {
+    const text = castValue("text", value, valuePath);
+    const pattern = op === "eq" ? `^${escapeRegex(text)}$` : op === "starts_with" ? `^${escapeRegex(text)}` : escapeRegex(text);
+    const condition = { $regex: pattern, $options: "i" };
+    return type === "category" ? { $or: [{ bill_category: condition }, { "splits.category": condition }] } : { [field]: condition };
+  }
+
+  const condition =
+    op === "in" || op === "nin"
+      ? { [`$${op}`]: castList(type, value, valuePath) }
+      : { [op === "ne" ? "$ne" : RANGE_OPS[op] || "$eq"]: castValue(type, value, valuePath) };
+
+  // Contas divididas também pertencem às categorias das suas divisões
+  if (type === "category") {
+    return op === "ne" || op === "nin"
+      ? { bill_category: condition, "splits.category": condition }
+      : { $or: [{ bill_category: condition }, { "splits.category": condition }] };
+  }
+
+  return { [field]: condition };
+};
+
+// Valida a árvore de condições e traduz para uma consulta do Mongo
+const compileCondition = (node, path, depth, counter) => {
+  if (!node || typeof node !== "object" || Array.isArray(node)) throw new FilterDslError("condição deve ser um objeto", path);
+
+  const groupKey = ["and", "or"].find((key) => node[key] !== undefined);
+  if (groupKey) {
+    if (depth >= MAX_DEPTH) throw new FilterDslError(`grupos aninhados em mais de ${MAX_DEPTH} níveis`, path);
+    if (Object.keys(node).length !== 1) throw new FilterDslError(`um grupo só pode ter a chave "${groupKey}"`, path);
+
+    const children = node[groupKey];
+    if (!Array.isArray(children) || !children.length) throw new FilterDslError(`"${groupKey}" espera uma lista de condições`, path);
+
+    return {
+      [`$${groupKey}`]: children.map((child, index) => compileCondition(child, `${path}.${groupKey}[${index}]`, depth + 1, counter)),
+    };
+  }
+
+  const unknownKeys = Object.keys(node).filter((key) => !["field", "op", "value"].includes(key));
+  if (unknownKeys.length) throw new FilterDslError(`chaves não permitidas: ${unknownKeys.join(", ")}`, path);
+
+  counter.rules += 1;
+  if (counter.rules > MAX_RULES) throw new FilterDslError(`mais de ${MAX_RULES} regras no filtro`);
+
+  return compileRule(node, path);
+};
+
+// Consulta final: sempre do usuário, com o filtro (opcional) em um $and
+const compileFilter = (userId, where) => {
+  const match = { user_id: new mongoose.Types.ObjectId(userId) };
+  if (where === undefined || where === null) return match;
+
+  match.$and = [compileCondition(where, "where", 0, { rules: 0 })];
+  return match;
+};
+
+module.exports = { FIELDS, OPERATORS, PERIODS, FilterDslError, resolvePeriod, compileFilter };
@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+const { compileFilter, resolvePeriod, FilterDslError } = require("./filterDsl");
+
+const USER_ID = "507f1f77bcf86cd799439011";
+
+// Condição compilada de uma única regra (sem o user_id e o $and em volta)
+const compile = (where) => compileFilter(USER_ID, where).$and[0];
+
+const expectError = (where, message) => {
+  expect(() => compileFilter(USER_ID, where)).toThrow(FilterDslError);
+  if (message) expect(() => compileFilter(USER_ID, where)).toThrow(message);
+};
+
+describe("compileFilter", () => {
+  test("sem filtro, só restringe ao usuário", () => {
+    expect(compileFilter(USER_ID)).toEqual({ user_id: new mongoose.Types.ObjectId(USER_ID) });
+  });
+
+  test("valores em reais viram centavos", () => {
+    expect(compile({ field: "bill_value", op: "between", value: [10, 50.5] })).toEqual({
+      bill_value: { $gte: 1000, $lte: 5050 },
+    });
+  });
+
+  test("eq em data casa o dia inteiro", () => {
+    const { buy_date } = compile({ field: "buy_date", op: "eq", value: "2024-03-10" });
+
+    expect(buy_date.$gte).toEqual(new Date(2024, 2, 10));
+    expect(buy_date.$lte).toEqual(new Date(2024, 2, 10, 23, 59, 59, 999));
+  });
+
+  test("categoria também procura nas divisões", () => {
+    expect(compile({ field: "bill_category", op: "eq", value: "Mercado" })).toEqual({
+      $or: [{ bill_category: { $eq: "Mercado" } }, { "splits.category": { $eq: "Mercado" } }],
+    });
+  });
+
+  test("texto escapa caracteres de regex", () => {
+    expect(compile({ field: "bill_name", op: "contains", value: "a.b" })).toEqual({
+      bill_name: { $regex: "a\\.b", $options: "i" },
+    });
+  });
+
+  test("grupos aninhados", () => {
+    const where = {
+      or: [
+        { field: "tags", op: "has", value: "viagem" },
+        { and: [{ field: "fixed", op: "eq", value: true }, { field: "bill_type", op: "in", value: ["expense"] }] },
+      ],
+    };
+
+    expect(compile(where)).toEqual({
+      $or: [{ tags: "viagem" }, { $and: [{ fixed: { $eq: true } }, { bill_type: { $in: ["expense"] } }] }],
+    });
+  });
+
+  test("recusa campos que não são filtráveis", () => {
+    expectError({ field: "user_id", op: "eq", value: USER_ID }, 'campo "user_id" não é filtrável');
+  });
+
+  test("recusa chaves herdadas de Object.prototype como campo", () => {
+    ["toString", "constructor", "__proto__", "hasOwnProperty"].forEach((field) => {
+      expectError({ field, op: "eq", value: "x" }, `campo "${field}" não é filtrável`);
+    });
+  });
+
+  test("recusa operador que não vale para o tipo do campo", () => {
+    expectError({ field: "bill_value", op: "contains", value: 10 }, 'operador "contains" não é válido para bill_value');
+  });
+
+  test("recusa valores do tipo errado", () => {
+    expectError({ field: "bill_value", op: "eq", value: "10" }, "where.value: valor deve ser um número");
+    expectError({ field: "buy_date", op: "eq", value: "10/13/2024" }, "data inválida");
+    expectError({ field: "account_id", op: "eq", value: "abc" }, "id inválido");
+    expectError({ field: "status", op: "eq", value: "late" }, "status inválido: late");
+  });
+
+  test("recusa chaves desconhecidas e grupos malformados", () => {
+    expectError({ field: "bill_name", op: "eq", value: "x", extra: 1 }, "chaves não permitidas: extra");
+    expectError({ and: [] }, '"and" espera uma lista de condições');
+    expectError({ and: [{ field: "fixed", op: "eq", value: true }], or: [] }, 'um grupo só pode ter a chave "and"');
+  });
+
+  test("recusa chaves herdadas de Object.prototype como período", () => {
+    ["__proto__", "constructor", "toString"].forEach((value) => {
+      expectError({ field: "buy_date", op: "within", value }, "período inválido");
+    });
+  });
+
+  test("limita a profundidade dos grupos", () => {
+    let where = { field: "fixed", op: "eq", value: true };
+    for (let level = 0; level < 5; level++) where = { and: [where] };
+
+    expectError(where, "grupos aninhados em mais de 4 níveis");
+  });
+});
+
+describe("resolvePeriod", () => {
+  const now = new Date(2024, 4, 15, 12);
+
+  test("mês atual e anterior", () => {
+    expect(resolvePeriod("current_month", now).map((date) => date.toDate())).toEqual([
+      new Date(2024, 4, 1),
+      new Date(2024, 4, 31, 23, 59, 59, 999),
+    ]);
+    expect(resolvePeriod("last_month", now)[0].toDate()).toEqual(new Date(2024, 3, 1));
+  });
+
+  test("últimos e próximos N dias incluem hoje", () => {
+    expect(resolvePeriod("last_7_days", now)[0].toDate()).toEqual(new Date(2024, 4, 9));
+    expect(resolvePeriod("next_1_days", now)[1].toDate()).toEqual(new Date(2024, 4, 15, 23, 59, 59, 999));
+  });
+
+  test("período desconhecido", () => {
+    expect(resolvePeriod("next_month", now)).toBeNull();
+    expect(resolvePeriod("__proto__", now)).toBeNull();
+  });
+});
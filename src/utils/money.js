@@ -0,0 +1,55 @@
+// Valores monetários são guardados em centavos inteiros; a API recebe e devolve reais (ex.: 12.34)
+const DECIMAL = /^([+-])?(\d*)(?:\.(\d*))?$/;
+
+// Reais (número ou texto "1234.56") para centavos, sem passar por aritmética de ponto flutuante
+const toCents = (value) => {
+  if (value === null || value === undefined || value === "") return value;
+
+  const text = String(value).trim();
+  const match = DECIMAL.exec(text);
+  if (!match || (!match[2] && !match[3])) {
+    const number = Number(text);
+    return Number.isFinite(number) ? Math.round(number * 100) : NaN;
+  }
+
+  const [, sign, integer, fraction = ""] = match;
+  const digits = `${fraction}000`.slice(0, 3);
+  // Arredonda meio centavo para longe do zero
+  const cents = Number(integer || 0) * 100 + Number(digits.slice(0, 2)) + (Number(digits[2]) >= 5 ? 1 : 0);
+
+  return sign === "-" && cents !== 0 ? -cents : cents;
+};
+
+const fromCents = (cents) => (cents === null || cents === undefined ? cents : cents / 100);
+
+// Arredonda um valor em reais para o centavo mais próximo
+const roundMoney = (value) => fromCents(toCents(value || 0));
+
+// Soma valores em reais sem acumular erro de arredondamento
+const sumMoney = (values) => fromCents(values.reduce((total, value) => total + (toCents(value) || 0), 0));
+
+// Divide o total em `count` partes iguais; a diferença de arredondamento fica na última
+const splitCents = (totalCents, count) => {
+  const baseCents = Math.trunc(totalCents / count);
+  const lastCents = totalCents - baseCents * (count - 1);
+
+  return Array.from({ length: count }, (_, index) => (index === count - 1 ? lastCents : baseCents));
+};
+
+// Redistribui `totalCents` na proporção das partes; o que sobra do arredondamento fica na última
+const scaleCents = (partsCents, totalCents) => {
+  const partsTotal = partsCents.reduce((total, cents) => total + cents, 0);
+  if (partsTotal === totalCents) return partsCents;
+
+  const scaled = partsCents.map((cents) => (partsTotal ? Math.floor((cents * totalCents) / partsTotal) : 0));
+  scaled[scaled.length - 1] += totalCents - scaled.reduce((total, cents) => total + cents, 0);
+  return scaled;
+};
+
+// Opções de schema para campos monetários: grava centavos e expõe reais
+const moneyField = (options = {}) => ({ type: Number, set: toCents, get: fromCents, ...options });
+
+// Marca dos documentos gravados já em centavos: a migração 001 só converte os que não a têm
+const centsMarker = () => ({ type: Boolean, default: true, select: false });
+
+module.exports = { toCents, fromCents, roundMoney, sumMoney, splitCents, scaleCents, moneyField, centsMarker };
@@ -0,0 +1,93 @@
+const { toCents, fromCents, roundMoney, sumMoney, splitCents, scaleCents } = require("./money");
+
+describe("toCents", () => {
+  test("converte sem erro de ponto flutuante", () => {
+    expect(toCents(0.29)).toBe(29);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents("1234.56")).toBe(123456);
+    expect(toCents(10)).toBe(1000);
+  });
+
+  test("meio centavo arredonda para longe do zero", () => {
+    expect(toCents("2.675")).toBe(268);
+    expect(toCents("-2.675")).toBe(-268);
+    expect(toCents("2.674")).toBe(267);
+  });
+
+  test("aceita sinal, parte inteira ou decimal ausente e espaços", () => {
+    expect(toCents("-0.5")).toBe(-50);
+    expect(toCents(".5")).toBe(50);
+    expect(toCents("7.")).toBe(700);
+    expect(toCents(" 3.10 ")).toBe(310);
+    expect(toCents("-0.001")).toBe(0);
+  });
+
+  test("notação científica passa pelo Number", () => {
+    expect(toCents(1e-7)).toBe(0);
+    expect(toCents("1e3")).toBe(100000);
+  });
+
+  test("vazios passam direto e texto inválido vira NaN", () => {
+    expect(toCents(null)).toBeNull();
+    expect(toCents(undefined)).toBeUndefined();
+    expect(toCents("")).toBe("");
+    expect(toCents("abc")).toBeNaN();
+  });
+});
+
+describe("fromCents, roundMoney e sumMoney", () => {
+  test("ida e volta", () => {
+    expect(fromCents(123456)).toBe(1234.56);
+    expect(fromCents(null)).toBeNull();
+  });
+
+  test("arredonda para o centavo", () => {
+    expect(roundMoney(10.005)).toBe(10.01);
+    expect(roundMoney(undefined)).toBe(0);
+  });
+
+  test("soma sem acumular erro", () => {
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney([1.1, 2.2, 3.3, null])).toBe(6.6);
+  });
+});
+
+describe("splitCents", () => {
+  test("a diferença de arredondamento fica na última parte", () => {
+    expect(splitCents(1000, 3)).toEqual([333, 333, 334]);
+    expect(splitCents(100, 6)).toEqual([16, 16, 16, 16, 16, 20]);
+  });
+
+  test("divisão exata e parte única", () => {
+    expect(splitCents(900, 3)).toEqual([300, 300, 300]);
+    expect(splitCents(1234, 1)).toEqual([1234]);
+  });
+
+  test("valores negativos", () => {
+    expect(splitCents(-1000, 3)).toEqual([-333, -333, -334]);
+  });
+
+  test("as partes sempre somam o total", () => {
+    [1, 99, 1001, 123457].forEach((total) => {
+      [2, 3, 7, 12].forEach((count) => {
+        expect(splitCents(total, count).reduce((sum, cents) => sum + cents, 0)).toBe(total);
+      });
+    });
+  });
+});
+
+describe("scaleCents", () => {
+  test("mantém as partes quando o total não muda", () => {
+    const parts = [300, 700];
+    expect(scaleCents(parts, 1000)).toBe(parts);
+  });
+
+  test("redistribui na proporção e a sobra fica na última", () => {
+    expect(scaleCents([300, 700], 2000)).toEqual([600, 1400]);
+    expect(scaleCents([100, 100, 100], 1000)).toEqual([333, 333, 334]);
+  });
+
+  test("partes zeradas jogam tudo na última", () => {
+    expect(scaleCents([0, 0], 500)).toEqual([0, 500]);
+  });
+});
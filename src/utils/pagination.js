@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Normaliza page/limit vindos da querystring
+const parsePagination = (query = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Cursor opaco (base64) com o valor do campo ordenado e o _id do último item
+const encodeCursor = (doc, sortField) => {
+  if (!doc) return null;
+
+  const value = doc[sortField];
+  const payload = {
+    v: value instanceof Date ? { $date: value.toISOString() } : value,
+    id: String(doc._id),
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    const value = payload.v && payload.v.$date ? new Date(payload.v.$date) : payload.v;
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filtro "keyset" para buscar os itens depois do cursor respeitando a ordenação.
+// `toStored` converte o valor para o formato gravado (ex.: reais -> centavos), já que o
+// Mongoose não aplica setters em comparações como $gt/$lt
+const buildCursorFilter = (cursor, sortField, direction, toStored = (value) => value) => {
+  const op = direction === 1 ? "$gt" : "$lt";
+
+  if (sortField === "_id") {
+    return { _id: { [op]: cursor.id } };
+  }
+
+  return {
+    $or: [{ [sortField]: { [op]: toStored(cursor.value) } }, { [sortField]: cursor.value, _id: { [op]: cursor.id } }],
+  };
+};
+
+// Monta o envelope padrão de resposta paginada
+const buildPage = ({ data, total, page, limit, sortField, useCursor }) => {
+  const totalPages = Math.ceil(total / limit);
+  const hasNextPage = useCursor ? data.length === limit : page < totalPages;
+
+  return {
+    data,
+    total,
+    page: useCursor ? null : page,
+    limit,
+    totalPages,
+    hasNextPage,
+    hasPrevPage: useCursor ? null : page > 1,
+    nextCursor: hasNextPage ? encodeCursor(data[data.length - 1], sortField) : null,
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  buildPage,
+};
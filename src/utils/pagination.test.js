@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+const { parsePagination, encodeCursor, decodeCursor, buildCursorFilter, buildPage, MAX_LIMIT } = require("./pagination");
+
+const ID = "507f1f77bcf86cd799439011";
+
+describe("parsePagination", () => {
+  test("valores ausentes ou inválidos usam o padrão", () => {
+    expect(parsePagination()).toEqual({ page: 1, limit: 20, skip: 0 });
+    expect(parsePagination({ page: "0", limit: "abc" })).toEqual({ page: 1, limit: 20, skip: 0 });
+  });
+
+  test("limita o tamanho da página", () => {
+    expect(parsePagination({ page: "3", limit: "1000" })).toEqual({ page: 3, limit: MAX_LIMIT, skip: 2 * MAX_LIMIT });
+  });
+});
+
+describe("cursor", () => {
+  test("ida e volta com data", () => {
+    const date = new Date("2024-03-10T12:00:00.000Z");
+    const cursor = decodeCursor(encodeCursor({ _id: ID, buy_date: date }, "buy_date"));
+
+    expect(cursor.value).toEqual(date);
+    expect(cursor.id).toEqual(new mongoose.Types.ObjectId(ID));
+  });
+
+  test("ida e volta com número e texto", () => {
+    expect(decodeCursor(encodeCursor({ _id: ID, bill_value: 12.34 }, "bill_value")).value).toBe(12.34);
+    expect(decodeCursor(encodeCursor({ _id: ID, bill_name: "Mercado" }, "bill_name")).value).toBe("Mercado");
+  });
+
+  test("sem documento não há cursor", () => {
+    expect(encodeCursor(undefined, "buy_date")).toBeNull();
+  });
+
+  test("cursor inválido vira null", () => {
+    expect(decodeCursor("não é base64")).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ v: 1, id: "123" })).toString("base64url"))).toBeNull();
+  });
+});
+
+describe("buildCursorFilter", () => {
+  const cursor = { value: 12.34, id: new mongoose.Types.ObjectId(ID) };
+
+  test("ordenando por _id basta comparar o id", () => {
+    expect(buildCursorFilter(cursor, "_id", -1)).toEqual({ _id: { $lt: cursor.id } });
+  });
+
+  test("empate no campo ordenado desempata pelo _id", () => {
+    expect(buildCursorFilter(cursor, "bill_value", 1, (value) => Math.round(value * 100))).toEqual({
+      $or: [{ bill_value: { $gt: 1234 } }, { bill_value: 12.34, _id: { $gt: cursor.id } }],
+    });
+  });
+});
+
+describe("buildPage", () => {
+  const data = [
+    { _id: ID, buy_date: new Date("2024-03-10T00:00:00.000Z") },
+    { _id: "507f1f77bcf86cd799439012", buy_date: new Date("2024-03-09T00:00:00.000Z") },
+  ];
+
+  test("por página", () => {
+    expect(buildPage({ data, total: 5, page: 2, limit: 2, sortField: "buy_date" })).toMatchObject({
+      page: 2,
+      totalPages: 3,
+      hasNextPage: true,
+      hasPrevPage: true,
+    });
+  });
+
+  test("por cursor, o próximo começa depois do último item", () => {
+    const page = buildPage({ data, total: 5, page: 1, limit: 2, sortField: "buy_date", useCursor: true });
+
+    expect(page.page).toBeNull();
+    expect(decodeCursor(page.nextCursor)).toEqual({ value: data[1].buy_date, id: new mongoose.Types.ObjectId(data[1]._id) });
+  });
+
+  test("por cursor, página incompleta é a última", () => {
+    const page = buildPage({ data, total: 2, page: 1, limit: 3, sortField: "buy_date", useCursor: true });
+
+    expect(page.hasNextPage).toBe(false);
+    expect(page.nextCursor).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+// Texto normalizado para busca: minúsculo, sem acentos (pt-BR) e só com letras/números
+const normalizeText = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const tokenize = (text) => normalizeText(text).split(" ").filter(Boolean);
+
+// Termos curtos só casam por prefixo; a partir daqui também aceitam um erro de digitação
+const FUZZY_MIN_LENGTH = 4;
+
+const billCategories = (bill) => [bill.bill_category, ...(bill.splits || []).map((split) => split.category)].filter(Boolean);
+
+// Campos pesquisáveis e o peso de cada um no ranking
+const searchFields = (bill) => [
+  { words: tokenize(bill.bill_name), weight: 3 },
+  { words: tokenize(billCategories(bill).join(" ")), weight: 2 },
+  { words: tokenize(bill.notes), weight: 1 },
+];
+
+const buildSearchText = (bill) => normalizeText([bill.bill_name, ...billCategories(bill), bill.notes].filter(Boolean).join(" "));
+
+// Variações do termo com até um erro (letra trocada, faltando, sobrando ou invertida), para o filtro no banco
+const termVariants = (term) => {
+  if (term.length < FUZZY_MIN_LENGTH) return [term];
+
+  const variants = new Set([term]);
+  for (let index = 0; index < term.length; index += 1) {
+    variants.add(`${term.slice(0, index)}.${term.slice(index + 1)}`);
+    variants.add(`${term.slice(0, index)}${term.slice(index + 1)}`);
+    variants.add(`${term.slice(0, index)}.${term.slice(index)}`);
+    if (index < term.length - 1) variants.add(`${term.slice(0, index)}${term[index + 1]}${term[index]}${term.slice(index + 2)}`);
+  }
+  return [...variants];
+};
+
+// Casa palavras que começam com o termo (ou com uma variação dele)
+const termPattern = (term) => `(^| )(${termVariants(term).join("|")})`;
+
+// Distância de edição <= 1 (inclui transposição de duas letras vizinhas)
+const withinOneEdit = (a, b) => {
+  if (a === b) return true;
+  if (Math.abs(a.length - b.length) > 1) return false;
+
+  let index = 0;
+  while (index < a.length && index < b.length && a[index] === b[index]) index += 1;
+
+  if (a.length === b.length) {
+    return (
+      a.slice(index + 1) === b.slice(index + 1) ||
+      (a[index] === b[index + 1] && a[index + 1] === b[index] && a.slice(index + 2) === b.slice(index + 2))
+    );
+  }
+  return a.length > b.length ? a.slice(index + 1) === b.slice(index) : a.slice(index) === b.slice(index + 1);
+};
+
+// Pontuação do termo contra uma palavra: exata > prefixo > com um erro
+const termScore = (term, word) => {
+  if (word === term) return 3;
+  if (word.startsWith(term)) return 2;
+  if (term.length < FUZZY_MIN_LENGTH) return 0;
+
+  const lengths = [term.length - 1, term.length, term.length + 1];
+  return lengths.some((length) => withinOneEdit(term, word.slice(0, length))) ? 1 : 0;
+};
+
+// Soma, para cada termo, a melhor pontuação encontrada ponderada pelo peso do campo
+const scoreBill = (bill, terms) => {
+  const fields = searchFields(bill);
+
+  return terms.reduce((total, term) => {
+    const best = Math.max(0, ...fields.flatMap(({ words, weight }) => words.map((word) => termScore(term, word) * weight)));
+    return total + best;
+  }, 0);
+};
+
+// Pares de letras vizinhas de cada palavra (para comparar descrições escritas de jeitos diferentes)
+const bigrams = (text) =>
+  tokenize(text).flatMap((word) => (word.length < 2 ? [word] : [...word].slice(1).map((letter, index) => word[index] + letter)));
+
+// Semelhança entre dois textos de 0 a 1 (coeficiente de Dice sobre os pares de letras)
+const textSimilarity = (a, b) => {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  if (!left.length || !right.length) return 0;
+
+  const counts = new Map();
+  left.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+
+  let shared = 0;
+  right.forEach((pair) => {
+    if (counts.get(pair) > 0) {
+      shared += 1;
+      counts.set(pair, counts.get(pair) - 1);
+    }
+  });
+
+  return (2 * shared) / (left.length + right.length);
+};
+
+module.exports = { normalizeText, tokenize, buildSearchText, termPattern, withinOneEdit, scoreBill, textSimilarity };
@@ -0,0 +1,84 @@
+const { normalizeText, termPattern, withinOneEdit, scoreBill, textSimilarity } = require("./search");
+
+// O padrão é aplicado no search_text, que já vem normalizado
+const matches = (term, text) => new RegExp(termPattern(term)).test(normalizeText(text));
+
+describe("normalizeText", () => {
+  test("sem acentos, minúsculo e só letras e números", () => {
+    expect(normalizeText("  Alimentação / Café-da-manhã ")).toBe("alimentacao cafe da manha");
+    expect(normalizeText(null)).toBe("");
+  });
+});
+
+describe("withinOneEdit", () => {
+  test("iguais", () => {
+    expect(withinOneEdit("mercado", "mercado")).toBe(true);
+  });
+
+  test("uma letra trocada, faltando ou sobrando", () => {
+    expect(withinOneEdit("mercado", "mercafo")).toBe(true);
+    expect(withinOneEdit("mercado", "mecado")).toBe(true);
+    expect(withinOneEdit("mercado", "merrcado")).toBe(true);
+  });
+
+  test("letras vizinhas invertidas contam como um erro", () => {
+    expect(withinOneEdit("mercado", "mecrado")).toBe(true);
+    expect(withinOneEdit("mercado", "mercaod")).toBe(true);
+  });
+
+  test("dois erros não casam", () => {
+    expect(withinOneEdit("mercado", "mecardo")).toBe(false);
+    expect(withinOneEdit("mercado", "mrcadoo")).toBe(false);
+    expect(withinOneEdit("mercado", "merca")).toBe(false);
+    expect(withinOneEdit("mercado", "marcado!")).toBe(false);
+  });
+});
+
+describe("termPattern", () => {
+  test("casa o começo das palavras", () => {
+    expect(matches("merc", "Compras no Mercado")).toBe(true);
+    expect(matches("cado", "Compras no Mercado")).toBe(false);
+  });
+
+  test("termos curtos não aceitam erro", () => {
+    expect(matches("luz", "Conta de luz")).toBe(true);
+    expect(matches("lyz", "Conta de luz")).toBe(false);
+  });
+
+  test("a partir de quatro letras aceita um erro", () => {
+    expect(matches("mercdo", "Mercado")).toBe(true);
+    expect(matches("mecrado", "Mercado")).toBe(true);
+    expect(matches("mercaado", "Mercado")).toBe(true);
+    expect(matches("mxrcxdo", "Mercado")).toBe(false);
+  });
+});
+
+describe("scoreBill", () => {
+  const bill = { bill_name: "Mercado Extra", bill_category: "Alimentação", notes: "compra do mês" };
+
+  test("exata > prefixo > com erro, ponderado pelo campo", () => {
+    expect(scoreBill(bill, ["mercado"])).toBe(9);
+    expect(scoreBill(bill, ["merc"])).toBe(6);
+    expect(scoreBill(bill, ["mercdo"])).toBe(3);
+    expect(scoreBill(bill, ["alimentacao"])).toBe(6);
+    expect(scoreBill(bill, ["compra"])).toBe(3);
+  });
+
+  test("soma a melhor pontuação de cada termo", () => {
+    expect(scoreBill(bill, ["mercado", "compra", "padaria"])).toBe(12);
+  });
+});
+
+describe("textSimilarity", () => {
+  test("textos iguais valem 1 e sem nada em comum, 0", () => {
+    expect(textSimilarity("Padaria Pão Quente", "padaria pao quente")).toBe(1);
+    expect(textSimilarity("abc", "xyz")).toBe(0);
+    expect(textSimilarity("", "abc")).toBe(0);
+  });
+
+  test("descrições parecidas ficam no meio", () => {
+    const similarity = textSimilarity("PAG*PADARIA PAO QUENTE", "Padaria Pão Quente");
+    expect(similarity).toBeGreaterThan(0.7);
+    expect(similarity).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Executa `work(session)` dentro de uma transação do MongoDB (exige replica set, como no Atlas)
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { withTransaction };